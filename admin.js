@@ -12,9 +12,64 @@
     PENDING_REQUESTS: 'pendingRequests',
     APPROVED_SESSIONS: 'approvedSessions',
     AUDIT_LOGS: 'auditLogs',
-    TRACKED_DEVICES: 'trackedDevices'
+    TRACKED_DEVICES: 'trackedDevices',
+    PROTECTION_POLICIES: 'protectionPolicies',
+    CUSTOM_CLASSIFIERS: 'customClassifiers',
+    ENABLED_SITES: 'enabledSites',
+    ANOMALY_SETTINGS: 'anomalySettings',
+    LOCKDOWNS: 'lockdowns',
+    NOTIFICATION_SETTINGS: 'notificationSettings',
+    DOCUMENT_GROUPS: 'documentGroups'
   };
 
+  // Sites protected until changed in the Policies tab (keys match content.js)
+  const DEFAULT_ENABLED_SITES = { google: true, excelOnline: false, airtable: false };
+
+  // Built-in DLP classifiers (detection logic lives in content.js)
+  const BUILTIN_CLASSIFIERS = ['creditCard', 'iban', 'nationalId', 'email', 'phone']
+    .map(id => ({ id: id, name: t('classifier_' + id) }));
+
+  // Product URL path segment -> adapter ID (see SITE_ADAPTERS in content.js)
+  const PRODUCT_PATHS = {
+    spreadsheets: 'sheets',
+    document: 'docs',
+    presentation: 'slides',
+    forms: 'forms'
+  };
+
+  const PRODUCT_LABELS = {
+    sheets: 'Sheets',
+    docs: 'Docs',
+    slides: 'Slides',
+    forms: 'Forms',
+    excel: 'Excel',
+    airtable: 'Airtable'
+  };
+
+  // Labels for the per-action enforcement matrix (keys match content.js)
+  const ACTION_LABELS = {
+    copy: t('actionCopy'),
+    cut: t('actionCut'),
+    paste: t('actionPaste'),
+    selectAll: t('actionSelectAll'),
+    contextMenu: t('actionContextMenu'),
+    selection: t('actionSelection'),
+    print: t('actionPrint'),
+    export: t('actionExport')
+  };
+
+  // Inbound paste inspection modes (chip labels)
+  const PASTE_MODE_LABELS = {
+    log: t('adminPasteModeLog'),
+    warn: t('adminPasteModeWarn'),
+    block: t('adminPasteModeBlock')
+  };
+
+  // Language for dates, numbers and lists; text comes from the matching _locales catalog
+  const UI_LOCALE = chrome.i18n.getUILanguage();
+  const DATE_TIME_FORMAT = new Intl.DateTimeFormat(UI_LOCALE, { dateStyle: 'medium', timeStyle: 'medium' });
+  const NUMBER_FORMAT = new Intl.NumberFormat(UI_LOCALE);
+
   const DEFAULT_PASSWORD = 'admin123'; // Default password - should be changed in production
 
   const loginContainer = document.getElementById('loginContainer');
@@ -34,15 +89,108 @@
     requests: 1,
     logs: 1,
     sessions: 1,
-    devices: 1
+    breakGlass: 1,
+    devices: 1,
+    policies: 1,
+    classifiers: 1
   };
   let filteredData = {
     requests: [],
     logs: [],
     sessions: [],
-    devices: []
+    breakGlass: [],
+    devices: [],
+    policies: [],
+    classifiers: []
   };
 
+  // Block messages being edited, per language ('default' = any language)
+  let policyMessageDraft = {};
+  let policyMessageLocale = 'default';
+
+  // Saved shortcut tables, and the built-in ones for platforms without one (from background.js)
+  let shortcutSettings = {};
+  let shortcutDefaults = {};
+
+  // Document groups a session can be scoped to (see normalizeSessionScope in background.js)
+  let documentGroups = [];
+
+  /**
+   * Gets a message from the _locales catalog in the browser's language
+   * @param {string} key - Message name
+   * @param {string|number|Array} [substitutions] - Values for $1, $2, ...
+   * @returns {string} - The message, or the key if the catalog lacks it
+   */
+  function t(key, substitutions) {
+    const values = substitutions === undefined ? undefined : [].concat(substitutions).map(String);
+    return chrome.i18n.getMessage(key, values) || key;
+  }
+
+  /**
+   * Gets the label of a stored value (log type, status) from its prefixed message
+   * @returns {string} - The label, or the raw value for values without a message
+   */
+  function getLabel(prefix, value) {
+    return chrome.i18n.getMessage(prefix + value) || value;
+  }
+
+  /**
+   * Translates the markup: data-i18n sets the text, data-i18n-placeholder and
+   * data-i18n-aria-label the attributes. The English in admin.html stays when a
+   * message is missing
+   */
+  function localizePage() {
+    document.documentElement.lang = UI_LOCALE;
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = chrome.i18n.getMessage(element.dataset.i18n) || element.textContent;
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+      element.placeholder = chrome.i18n.getMessage(element.dataset.i18nPlaceholder) || element.placeholder;
+    });
+    document.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+      element.setAttribute('aria-label', chrome.i18n.getMessage(element.dataset.i18nAriaLabel) || element.getAttribute('aria-label'));
+    });
+  }
+
+  /**
+   * Formats a timestamp in the UI language
+   */
+  function formatDateTime(timestamp) {
+    return DATE_TIME_FORMAT.format(new Date(timestamp));
+  }
+
+  /**
+   * Formats a number of minutes in the UI language ("1 hour, 30 minutes")
+   */
+  function formatDuration(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    const parts = [];
+    if (hours) {
+      parts.push(new Intl.NumberFormat(UI_LOCALE, { style: 'unit', unit: 'hour', unitDisplay: 'long' }).format(hours));
+    }
+    if (rest || !hours) {
+      parts.push(new Intl.NumberFormat(UI_LOCALE, { style: 'unit', unit: 'minute', unitDisplay: 'long' }).format(rest));
+    }
+    return new Intl.ListFormat(UI_LOCALE, { style: 'long', type: 'unit' }).format(parts);
+  }
+
+  /**
+   * Formats a cell count with the plural form of the UI language ("1 cell", "27 cells")
+   */
+  function formatCells(count) {
+    const key = new Intl.PluralRules(UI_LOCALE).select(count) === 'one' ? 'cellsOne' : 'cellsOther';
+    return t(key, NUMBER_FORMAT.format(count));
+  }
+
+  /**
+   * Gets the error text of a failed background response
+   * background.js rejects with a message name and its placeholder values
+   */
+  function getResponseError(response) {
+    return response && response.error ? t(response.error, response.errorArgs) : t('commonUnknownError');
+  }
+
   /**
    * Simple password hashing (for extension context)
    */
@@ -86,7 +234,7 @@
   function handleLogin() {
     const password = adminPasswordInput.value;
     if (!password) {
-      showError('Please enter a password');
+      showError(t('adminPasswordRequired'));
       return;
     }
 
@@ -99,7 +247,7 @@
           showAdminConsole();
         });
       } else {
-        showError('Invalid password');
+        showError(t('adminPasswordInvalid'));
       }
     });
   }
@@ -168,9 +316,22 @@
     } else if (tabName === 'logs') {
       loadLogs();
     } else if (tabName === 'sessions') {
+      loadLockdowns();
       loadSessions();
+    } else if (tabName === 'breakGlass') {
+      loadBreakGlass();
     } else if (tabName === 'devices') {
       loadDevices();
+    } else if (tabName === 'policies') {
+      loadEnabledSites();
+      loadAnomalySettings();
+      loadNotificationSettings();
+      loadShortcutSettings();
+      loadDocumentGroups();
+      loadPolicies();
+      loadClassifiers();
+    } else if (tabName === 'classifiers') {
+      loadClassifiers();
     }
   }
 
@@ -178,9 +339,10 @@
    * Loads and displays requests
    */
   function loadRequests() {
-    chrome.storage.local.get([STORAGE_KEYS.PENDING_REQUESTS], function(result) {
+    chrome.storage.local.get([STORAGE_KEYS.PENDING_REQUESTS, STORAGE_KEYS.DOCUMENT_GROUPS], function(result) {
       const requests = result[STORAGE_KEYS.PENDING_REQUESTS] || [];
       const tbody = document.getElementById('requestsTableBody');
+      documentGroups = result[STORAGE_KEYS.DOCUMENT_GROUPS] || [];
       
       // Update stats
       const pendingCount = requests.filter(r => r.status === 'pending').length;
@@ -188,7 +350,7 @@
       document.getElementById('totalRequests').textContent = requests.length;
 
       if (requests.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="6" class="empty-state">No requests found</td></tr>';
+        tbody.innerHTML = `<tr><td colspan="7" class="empty-state">${t('adminNoRequests')}</td></tr>`;
         return;
       }
 
@@ -214,36 +376,44 @@
     const start = (page - 1) * ITEMS_PER_PAGE;
     const end = start + ITEMS_PER_PAGE;
     const pageRequests = requests.slice(start, end);
+    // Keep scopes already picked in the rows across the periodic refresh
+    const pickedScopes = {};
+    tbody.querySelectorAll('select[data-scope-request-id]').forEach(select => {
+      pickedScopes[select.dataset.scopeRequestId] = select.value;
+    });
 
       if (requests.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="6" class="empty-state">No requests found</td></tr>';
+        tbody.innerHTML = `<tr><td colspan="7" class="empty-state">${t('adminNoRequests')}</td></tr>`;
         updatePagination('requests', 0, 0);
         return;
       }
 
       tbody.innerHTML = pageRequests.map(request => {
-        const date = new Date(request.timestamp);
         const statusClass = `status-${request.status}`;
-        const statusBadge = `<span class="status-badge ${statusClass}">${request.status}</span>`;
+        const statusBadge = `<span class="status-badge ${statusClass}">${getLabel('status_', request.status)}</span>`;
         
         let actions = '';
         if (request.status === 'pending') {
           actions = `
             <div class="action-buttons">
-              <button class="btn btn-approve btn-small" data-action="approve" data-request-id="${request.id}">Approve</button>
-              <button class="btn btn-deny btn-small" data-action="deny" data-request-id="${request.id}">Deny</button>
+              <button class="btn btn-approve btn-small" data-action="approve" data-request-id="${request.id}">${t('adminApprove')}</button>
+              <button class="btn btn-deny btn-small" data-action="deny" data-request-id="${request.id}">${t('adminDeny')}</button>
             </div>
           `;
         } else {
-          actions = `<span style="color: #5f6368; font-size: 12px;">${request.approvedBy || 'N/A'}</span>`;
+          actions = `<span style="color: #5f6368; font-size: 12px;">${escapeHtml(request.approvedBy || t('commonNotAvailable'))}</span>`;
         }
 
         return `
           <tr>
-            <td>${request.userId}</td>
-            <td style="max-width: 300px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${request.url}</td>
-            <td>${request.duration} min (${request.durationType})</td>
-            <td>${date.toLocaleString()}</td>
+            <td>${escapeHtml(request.userId)}</td>
+            <td style="max-width: 300px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(request.url)}</td>
+            <td>${formatDuration(request.duration)} (${t(request.durationType === 'custom' ? 'adminDurationCustom' : 'adminDurationPredefined')})</td>
+            <td>
+              ${request.status === 'pending' ? renderScopeSelect(request, pickedScopes[request.id]) : escapeHtml(formatSessionScope(request.approvedScope || request.scope, request))}
+              <div style="color: #5f6368; font-size: 12px; margin-top: 4px;">${escapeHtml(formatGrant(request))}</div>
+            </td>
+            <td>${formatDateTime(request.timestamp)}</td>
             <td>${statusBadge}</td>
             <td>${actions}</td>
           </tr>
@@ -270,7 +440,9 @@
       paginationDiv.className = 'pagination';
       paginationDiv.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin-top: 16px; padding: 12px;';
       
-      const tableContainer = document.getElementById(`${type}Tab`).querySelector('.table-container');
+      // The paged table is the tab's last one (Active Sessions lists lockdowns above it)
+      const tableContainers = document.getElementById(`${type}Tab`).querySelectorAll('.table-container');
+      const tableContainer = tableContainers[tableContainers.length - 1];
       if (tableContainer) {
         tableContainer.parentNode.insertBefore(paginationDiv, tableContainer.nextSibling);
       }
@@ -284,12 +456,12 @@
     paginationDiv.style.display = 'flex';
     paginationDiv.innerHTML = `
       <div style="color: #5f6368; font-size: 13px;">
-        Showing ${((page - 1) * ITEMS_PER_PAGE) + 1}-${Math.min(page * ITEMS_PER_PAGE, totalItems)} of ${totalItems}
+        ${t('adminShowing', [((page - 1) * ITEMS_PER_PAGE) + 1, Math.min(page * ITEMS_PER_PAGE, totalItems), totalItems])}
       </div>
       <div style="display: flex; gap: 8px;">
-        <button class="btn btn-secondary" ${page === 1 ? 'disabled' : ''} data-pagination-action="prev" data-pagination-type="${type}" style="padding: 6px 12px; font-size: 12px;">Previous</button>
-        <span style="padding: 6px 12px; font-size: 12px; color: #202124;">Page ${page} of ${totalPages}</span>
-        <button class="btn btn-secondary" ${page === totalPages ? 'disabled' : ''} data-pagination-action="next" data-pagination-type="${type}" style="padding: 6px 12px; font-size: 12px;">Next</button>
+        <button class="btn btn-secondary" ${page === 1 ? 'disabled' : ''} data-pagination-action="prev" data-pagination-type="${type}" style="padding: 6px 12px; font-size: 12px;">${t('adminPrevious')}</button>
+        <span style="padding: 6px 12px; font-size: 12px; color: #202124;">${t('adminPageOf', [page, totalPages])}</span>
+        <button class="btn btn-secondary" ${page === totalPages ? 'disabled' : ''} data-pagination-action="next" data-pagination-type="${type}" style="padding: 6px 12px; font-size: 12px;">${t('adminNext')}</button>
       </div>
     `;
     
@@ -321,11 +493,80 @@
       renderLogsPage();
     } else if (type === 'sessions') {
       renderSessionsPage();
+    } else if (type === 'breakGlass') {
+      renderBreakGlassPage();
     } else if (type === 'devices') {
       renderDevicesPage();
+    } else if (type === 'policies') {
+      renderPoliciesPage();
+    } else if (type === 'classifiers') {
+      renderClassifiersPage();
     }
   }
   
+  /**
+   * Describes where a session applies, for the Requests and Sessions tabs
+   * @param {Object|undefined} scope - { type, resourceId, gid, group, resourceIds }
+   * @param {Object} item - The request or session, for items saved before scopes
+   * @returns {string} - Plain text (escape before inserting)
+   */
+  function formatSessionScope(scope, item) {
+    const resolved = scope || { type: 'document', resourceId: item.resourceId };
+    if (resolved.type === 'all') {
+      return t('adminScopeAll');
+    }
+    if (resolved.type === 'group') {
+      return t('adminScopeGroup', [resolved.group, NUMBER_FORMAT.format(resolved.resourceIds.length)]);
+    }
+    if (resolved.type === 'tab') {
+      return t('adminScopeTab', [resolved.gid, resolved.resourceId]);
+    }
+    return resolved.resourceId ? t('adminScopeDocument', resolved.resourceId) : t('commonNotAvailable');
+  }
+
+  /**
+   * Describes what a request or session grants ("Copy and paste within Sheet1!A1:D20")
+   * @param {Object} item - Request or session; actions null = all, range null = no limit
+   * @returns {string} - Plain text (escape before inserting)
+   */
+  function formatGrant(item) {
+    const actions = Array.isArray(item.actions)
+      ? new Intl.ListFormat(UI_LOCALE, { style: 'long', type: 'conjunction' }).format(item.actions.map(action => ACTION_LABELS[action] || action))
+      : t('adminGrantAllActions');
+    const range = item.range;
+    if (!range) {
+      return actions;
+    }
+    const where = range.sheetName && range.a1
+      ? range.sheetName + '!' + range.a1
+      : (range.sheetName ? t('adminGrantSheet', range.sheetName) : range.a1);
+    return t('adminGrantWithin', [actions, where]);
+  }
+
+  /**
+   * Renders the scope picker of a pending request, preset to what the user asked for
+   * Offers the sheet tab only when the request has one, and only groups containing the document
+   * @param {Object} request - Pending request
+   * @param {string} [picked] - Option the admin already picked
+   * @returns {string} - HTML
+   */
+  function renderScopeSelect(request, picked) {
+    const requested = request.scope || { type: 'document' };
+    const options = [];
+    if (request.gid) {
+      options.push({ value: 'tab', label: t('adminScopeOptionTab') });
+    }
+    options.push({ value: 'document', label: t('adminScopeOptionDocument') });
+    documentGroups
+      .filter(group => request.resourceId && group.resourceIds.indexOf(request.resourceId) !== -1)
+      .forEach(group => options.push({ value: 'group:' + group.name, label: t('adminScopeOptionGroup', group.name) }));
+    options.push({ value: 'all', label: t('adminScopeOptionAll') });
+    
+    const selected = picked || (requested.type === 'group' ? 'group:' + requested.group : requested.type);
+    return `<select data-scope-request-id="${escapeHtml(request.id)}" aria-label="${escapeHtml(t('adminColScope'))}">${options.map(option =>
+      `<option value="${escapeHtml(option.value)}" ${option.value === selected ? 'selected' : ''}>${escapeHtml(option.label)}</option>`).join('')}</select>`;
+  }
+
   /**
    * Attaches event listeners to approve/deny buttons using event delegation
    */
@@ -359,16 +600,20 @@
    * Approves a request
    */
   function approveRequest(requestId) {
+    const scopeSelect = document.querySelector(`select[data-scope-request-id="${CSS.escape(requestId)}"]`);
+    const value = scopeSelect ? scopeSelect.value : null;
     chrome.runtime.sendMessage({
       action: 'approveRequest',
       requestId: requestId,
-      adminId: 'admin'
+      adminId: 'admin',
+      // The scope picked in the row; the requested one when there is no picker
+      scope: !value ? null : (value.indexOf('group:') === 0 ? { type: 'group', group: value.slice('group:'.length) } : { type: value })
     }, function(response) {
       if (response && response.success) {
         loadRequests();
         loadSessions();
       } else {
-        alert('Failed to approve request: ' + (response && response.error ? response.error : 'Unknown error'));
+        alert(t('adminApproveFailed', getResponseError(response)));
       }
     });
   }
@@ -385,7 +630,7 @@
       if (response && response.success) {
         loadRequests();
       } else {
-        alert('Failed to deny request: ' + (response && response.error ? response.error : 'Unknown error'));
+        alert(t('adminDenyFailed', getResponseError(response)));
       }
     });
   }
@@ -404,11 +649,9 @@
       const toDate = document.getElementById('logToDate').value;
       const userIdFilter = document.getElementById('logUserIdFilter').value.toLowerCase();
 
-      let filteredLogs = logs;
+      const enforcementFilter = document.getElementById('logEnforcementFilter').value;
 
-      if (typeFilter) {
-        filteredLogs = filteredLogs.filter(log => log.type === typeFilter);
-      }
+      let filteredLogs = logs;
 
       if (fromDate) {
         const fromTimestamp = new Date(fromDate).getTime();
@@ -426,6 +669,17 @@
         );
       }
 
+      // Counts cover the date/user range, before type and enforcement filters
+      updateEnforcementCounts(filteredLogs);
+
+      if (typeFilter) {
+        filteredLogs = filteredLogs.filter(log => log.type === typeFilter);
+      }
+
+      if (enforcementFilter) {
+        filteredLogs = filteredLogs.filter(log => log.enforcement === enforcementFilter);
+      }
+
       // Sort by timestamp (newest first)
       filteredLogs.sort((a, b) => b.timestamp - a.timestamp);
       
@@ -437,6 +691,23 @@
     });
   }
   
+  /**
+   * Shows blocked/allowed counts per enforcement mode, so a department's
+   * monitor-mode results can be compared with block mode
+   */
+  function updateEnforcementCounts(logs) {
+    const counts = { block: { blocked: 0, allowed: 0 }, monitor: { blocked: 0, allowed: 0 } };
+    logs.forEach(log => {
+      if (counts[log.enforcement] && (log.type === 'blocked' || log.type === 'allowed')) {
+        counts[log.enforcement][log.type]++;
+      }
+    });
+    document.getElementById('blockModeBlockedCount').textContent = counts.block.blocked;
+    document.getElementById('blockModeAllowedCount').textContent = counts.block.allowed;
+    document.getElementById('monitorModeBlockedCount').textContent = counts.monitor.blocked;
+    document.getElementById('monitorModeAllowedCount').textContent = counts.monitor.allowed;
+  }
+
   /**
    * Renders logs with pagination
    */
@@ -450,21 +721,20 @@
     const pageLogs = logs.slice(start, end);
 
       if (logs.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="6" class="empty-state">No logs found</td></tr>';
+        tbody.innerHTML = `<tr><td colspan="6" class="empty-state">${t('adminNoLogs')}</td></tr>`;
         updatePagination('logs', 0, 0);
         return;
       }
 
       tbody.innerHTML = pageLogs.map(log => {
-        const date = new Date(log.timestamp);
         return `
           <tr>
-            <td>${date.toLocaleString()}</td>
-            <td><span class="status-badge status-${log.type}">${log.type}</span></td>
-            <td>${log.action || 'N/A'}</td>
-            <td>${log.userId || 'N/A'}</td>
-            <td style="max-width: 300px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${log.url || 'N/A'}</td>
-            <td>${log.details || 'N/A'}</td>
+            <td>${formatDateTime(log.timestamp)}</td>
+            <td><span class="status-badge status-${log.type}">${getLabel('logType_', log.type)}</span>${log.enforcement === 'monitor' ? ` <span class="status-badge status-monitor">${t('adminMonitorBadge')}</span>` : ''}</td>
+            <td>${escapeHtml(ACTION_LABELS[log.action] || log.action || t('commonNotAvailable'))}</td>
+            <td>${escapeHtml(log.userId || t('commonNotAvailable'))}</td>
+            <td style="max-width: 300px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(log.url || t('commonNotAvailable'))}</td>
+            <td>${escapeHtml(log.details || t('commonNotAvailable'))}${formatLogSelection(log)}${formatLogJustification(log)}${log.classifiers && log.classifiers.length ? `<div style="color: #c5221f; font-size: 12px; margin-top: 4px;">${escapeHtml(t('adminMatched', log.classifiers.join(', ')))}</div>` : ''}</td>
           </tr>
         `;
       }).join('');
@@ -473,6 +743,37 @@
       updatePagination('logs', logs.length, totalPages);
   }
 
+  /**
+   * Formats the grid selection recorded on a blocked event (e.g. "Payroll!B2:D10, 27 cells")
+   * @returns {string} - HTML line, or '' when the event has no selection
+   */
+  function formatLogSelection(log) {
+    if (!log.cellRange && !log.cellCount) {
+      return '';
+    }
+
+    let selection = log.cellRange || t('adminSelection');
+    if (log.sheetName) {
+      selection = log.sheetName + '!' + selection;
+    }
+    if (log.cellCount) {
+      selection += ', ' + formatCells(log.cellCount);
+    }
+
+    return `<div style="color: #5f6368; font-size: 12px; margin-top: 4px;">${escapeHtml(t('adminRangeLine', selection))}</div>`;
+  }
+
+  /**
+   * Formats the reason a user gave for an action that needed a justification
+   * @returns {string} - HTML line, or '' when the event has no justification
+   */
+  function formatLogJustification(log) {
+    if (!log.justification) {
+      return '';
+    }
+    return `<div style="color: #5f6368; font-size: 12px; margin-top: 4px;">${escapeHtml(t('adminJustificationLine', log.justification))}</div>`;
+  }
+
   /**
    * Loads and displays active sessions
    */
@@ -507,22 +808,25 @@
     const now = Date.now();
 
       if (sessions.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="5" class="empty-state">No active sessions</td></tr>';
+        tbody.innerHTML = `<tr><td colspan="6" class="empty-state">${t('adminNoSessions')}</td></tr>`;
         updatePagination('sessions', 0, 0);
         return;
       }
 
       tbody.innerHTML = pageSessions.map(session => {
-        const expiresDate = new Date(session.expiresAt);
         const timeRemaining = Math.floor((session.expiresAt - now) / 1000 / 60);
-        const timeRemainingText = timeRemaining > 0 ? `${timeRemaining} min` : 'Expired';
+        const timeRemainingText = timeRemaining > 0 ? formatDuration(timeRemaining) : t('adminExpired');
 
         return `
           <tr>
-            <td>${session.userId}</td>
-            <td style="max-width: 300px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${session.url}</td>
-            <td>${session.requestId}</td>
-            <td>${expiresDate.toLocaleString()}</td>
+            <td>${escapeHtml(session.userId)}</td>
+            <td style="max-width: 300px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(session.url)}</td>
+            <td>
+              ${escapeHtml(formatSessionScope(session.scope, session))}
+              <div style="color: #5f6368; font-size: 12px; margin-top: 4px;">${escapeHtml(formatGrant(session))}</div>
+            </td>
+            <td>${escapeHtml(session.requestId)}</td>
+            <td>${formatDateTime(session.expiresAt)}</td>
             <td>${timeRemainingText}</td>
           </tr>
         `;
@@ -532,6 +836,118 @@
       updatePagination('sessions', sessions.length, totalPages);
   }
 
+  /**
+   * Loads break-glass copies (justified one-time copies past a block) from the audit log
+   */
+  function loadBreakGlass() {
+    chrome.storage.local.get([STORAGE_KEYS.AUDIT_LOGS], function(result) {
+      const logs = result[STORAGE_KEYS.AUDIT_LOGS] || [];
+      const uses = logs.filter(log => log.type === 'break_glass');
+      const startOfDay = new Date().setHours(0, 0, 0, 0);
+
+      document.getElementById('breakGlassTodayCount').textContent = uses.filter(log => log.timestamp >= startOfDay).length;
+      document.getElementById('breakGlassTotalCount').textContent = uses.length;
+
+      // Sort by timestamp (newest first)
+      uses.sort((a, b) => b.timestamp - a.timestamp);
+
+      // Store filtered data for pagination
+      filteredData.breakGlass = uses;
+
+      // Render with pagination
+      renderBreakGlassPage();
+    });
+  }
+
+  /**
+   * Renders break-glass uses with pagination
+   */
+  function renderBreakGlassPage() {
+    const tbody = document.getElementById('breakGlassTableBody');
+    const uses = filteredData.breakGlass;
+    const totalPages = Math.ceil(uses.length / ITEMS_PER_PAGE);
+    const page = currentPage.breakGlass;
+    const start = (page - 1) * ITEMS_PER_PAGE;
+    const pageUses = uses.slice(start, start + ITEMS_PER_PAGE);
+
+    if (uses.length === 0) {
+      tbody.innerHTML = `<tr><td colspan="6" class="empty-state">${t('adminNoBreakGlass')}</td></tr>`;
+      updatePagination('breakGlass', 0, 0);
+      return;
+    }
+
+    tbody.innerHTML = pageUses.map(log => {
+      let range = log.cellRange || (log.cellCount ? formatCells(log.cellCount) : t('commonNotAvailable'));
+      if (log.cellRange && log.sheetName) {
+        range = log.sheetName + '!' + range;
+      }
+      return `
+        <tr>
+          <td>${formatDateTime(log.timestamp)}</td>
+          <td>${escapeHtml(log.userId || t('commonNotAvailable'))}</td>
+          <td>${escapeHtml(ACTION_LABELS[log.action] || log.action || t('commonNotAvailable'))}</td>
+          <td style="max-width: 300px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(log.url || t('commonNotAvailable'))}</td>
+          <td>${escapeHtml(range)}</td>
+          <td>${escapeHtml(log.justification || '')}</td>
+        </tr>
+      `;
+    }).join('');
+
+    // Update pagination
+    updatePagination('breakGlass', uses.length, totalPages);
+  }
+
+  /**
+   * Loads and displays documents locked by anomaly detection
+   */
+  function loadLockdowns() {
+    chrome.storage.local.get([STORAGE_KEYS.LOCKDOWNS], function(result) {
+      const lockdowns = result[STORAGE_KEYS.LOCKDOWNS] || [];
+      const tbody = document.getElementById('lockdownsTableBody');
+
+      if (lockdowns.length === 0) {
+        tbody.innerHTML = `<tr><td colspan="5" class="empty-state">${t('adminNoLockdowns')}</td></tr>`;
+        return;
+      }
+
+      tbody.innerHTML = lockdowns
+        .slice()
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .map(lockdown => `
+          <tr>
+            <td>${escapeHtml(lockdown.userId)}</td>
+            <td style="max-width: 300px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(lockdown.url || lockdown.resourceId)}</td>
+            <td>${escapeHtml(lockdown.reason || t('commonNotAvailable'))}</td>
+            <td>${formatDateTime(lockdown.createdAt)}</td>
+            <td>
+              <button class="btn btn-approve btn-small" data-action="clear" data-lockdown-id="${lockdown.id}">${t('adminClearLockdown')}</button>
+            </td>
+          </tr>
+        `).join('');
+    });
+  }
+
+  /**
+   * Lifts a lockdown
+   */
+  function clearLockdown(lockdownId) {
+    if (!confirm(t('adminClearLockdownConfirm'))) {
+      return;
+    }
+
+    chrome.runtime.sendMessage({
+      action: 'clearLockdown',
+      lockdownId: lockdownId,
+      adminId: 'admin'
+    }, function(response) {
+      if (response && response.success) {
+        loadLockdowns();
+      } else {
+        alert(t('adminClearLockdownFailed', getResponseError(response)));
+      }
+    });
+  }
+
   /**
    * Loads and displays devices
    */
@@ -539,7 +955,7 @@
     chrome.runtime.sendMessage({ action: 'getDevices' }, function(response) {
       if (!response || !response.success) {
         const tbody = document.getElementById('devicesTableBody');
-        tbody.innerHTML = '<tr><td colspan="8" class="empty-state">Error loading devices</td></tr>';
+        tbody.innerHTML = `<tr><td colspan="8" class="empty-state">${t('adminDevicesError')}</td></tr>`;
         return;
       }
       
@@ -593,26 +1009,24 @@
     const pageDevices = devices.slice(start, end);
     
     if (devices.length === 0) {
-      tbody.innerHTML = '<tr><td colspan="8" class="empty-state">No devices found</td></tr>';
+      tbody.innerHTML = `<tr><td colspan="8" class="empty-state">${t('adminNoDevices')}</td></tr>`;
       updatePagination('devices', 0, 0);
       return;
     }
     
     tbody.innerHTML = pageDevices.map(device => {
-      const firstSeenDate = new Date(device.firstSeen);
-      const lastSeenDate = new Date(device.lastSeen);
       const statusClass = `status-${device.status}`;
-      const statusBadge = `<span class="status-badge ${statusClass}">${device.status}</span>`;
+      const statusBadge = `<span class="status-badge ${statusClass}">${getLabel('status_', device.status)}</span>`;
       
       return `
         <tr>
-          <td>${device.userId || 'N/A'}</td>
-          <td>${device.email || 'Not available'}</td>
-          <td>${device.browser || 'Unknown'}</td>
-          <td>${device.os || 'Unknown'}</td>
-          <td>${device.ip || 'Unknown'}</td>
-          <td>${firstSeenDate.toLocaleString()}</td>
-          <td>${lastSeenDate.toLocaleString()}</td>
+          <td>${escapeHtml(device.userId || t('commonNotAvailable'))}</td>
+          <td>${escapeHtml(device.email || t('adminEmailNotAvailable'))}</td>
+          <td>${device.browser || t('commonUnknown')}</td>
+          <td>${device.os || t('commonUnknown')}</td>
+          <td>${device.ip || t('commonUnknown')}</td>
+          <td>${formatDateTime(device.firstSeen)}</td>
+          <td>${formatDateTime(device.lastSeen)}</td>
           <td>${statusBadge}</td>
         </tr>
       `;
@@ -623,46 +1037,981 @@
   }
 
   /**
-   * Exports logs to JSON
+   * Escapes text for safe insertion into table markup
    */
-  function exportLogs() {
-    chrome.storage.local.get([STORAGE_KEYS.AUDIT_LOGS], function(result) {
-      const logs = result[STORAGE_KEYS.AUDIT_LOGS] || [];
-      const dataStr = JSON.stringify(logs, null, 2);
-      const dataBlob = new Blob([dataStr], { type: 'application/json' });
-      const url = URL.createObjectURL(dataBlob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = `audit-logs-${new Date().toISOString().split('T')[0]}.json`;
-      link.click();
-      URL.revokeObjectURL(url);
-    });
+  function escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
   }
 
-  // Event listeners
-  loginButton.addEventListener('click', handleLogin);
-  adminPasswordInput.addEventListener('keypress', function(e) {
-    if (e.key === 'Enter') {
-      handleLogin();
+  /**
+   * Extracts a document ID, product (and tab/table gid) from a pasted URL or raw ID
+   * Raw IDs have no known product; Drive file IDs are unique across products
+   * @returns {{resourceId: string, product: string|null, gid: string}|null}
+   */
+  function parseResourceInput(value) {
+    const input = value.trim();
+    if (input === '*') {
+      return { resourceId: '*', product: '*', gid: '' };
     }
-  });
-  logoutButton.addEventListener('click', handleLogout);
-  exportLogsButton.addEventListener('click', exportLogs);
 
-  tabs.forEach(tab => {
-    tab.addEventListener('click', function() {
-      switchTab(this.dataset.tab);
+    const urlMatch = input.match(/\/(spreadsheets|document|presentation|forms)\/d\/(?:e\/)?([a-zA-Z0-9_-]+)/);
+    if (urlMatch) {
+      const product = PRODUCT_PATHS[urlMatch[1]];
+      const gidMatch = product === 'sheets' ? input.match(/[#&?]gid=(\d+)/) : null;
+      return { resourceId: urlMatch[2], product: product, gid: gidMatch ? gidMatch[1] : '' };
+    }
+
+    // Excel Online: SharePoint (sourcedoc), OneDrive (resid) or WOPI frame (WOPISrc) links,
+    // normalized the same way as the content script
+    const excelMatch = input.match(/[?&](?:sourcedoc|resid)=([^&#]+)/i) ||
+      input.match(/[?&]wopisrc=[^&#]*?%2Ffiles%2F([^&#%]+)/i);
+    if (excelMatch) {
+      return { resourceId: decodeURIComponent(excelMatch[1]).replace(/[{}]/g, '').toLowerCase(), product: 'excel', gid: '' };
+    }
+
+    // Airtable: /app<base>/tbl<table>
+    const airtableMatch = input.match(/airtable\.com\/(app[a-zA-Z0-9]+)(?:\/(tbl[a-zA-Z0-9]+))?/);
+    if (airtableMatch) {
+      return { resourceId: airtableMatch[1], product: 'airtable', gid: airtableMatch[2] || '' };
+    }
+
+    if (/^[a-zA-Z0-9_!-]+$/.test(input)) {
+      return { resourceId: input, product: null, gid: '' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Loads the per-site enable switches
+   */
+  function loadEnabledSites() {
+    chrome.storage.local.get([STORAGE_KEYS.ENABLED_SITES], function(result) {
+      const enabledSites = result[STORAGE_KEYS.ENABLED_SITES] || {};
+      document.querySelectorAll('#siteToggles input[data-site]').forEach(checkbox => {
+        const site = checkbox.dataset.site;
+        checkbox.checked = typeof enabledSites[site] === 'boolean' ? enabledSites[site] : DEFAULT_ENABLED_SITES[site] === true;
+      });
     });
-  });
+  }
 
-  // Filter listeners with debouncing
-  let logFilterTimeout = null;
-  function debouncedLoadLogs() {
-    if (logFilterTimeout) clearTimeout(logFilterTimeout);
-    logFilterTimeout = setTimeout(loadLogs, 300);
+  /**
+   * Saves the per-site enable switches
+   */
+  function saveEnabledSites() {
+    const enabledSites = {};
+    document.querySelectorAll('#siteToggles input[data-site]').forEach(checkbox => {
+      enabledSites[checkbox.dataset.site] = checkbox.checked;
+    });
+
+    chrome.runtime.sendMessage({
+      action: 'saveEnabledSites',
+      adminId: 'admin',
+      enabledSites: enabledSites
+    }, function(response) {
+      const sitesError = document.getElementById('sitesError');
+      if (response && response.success) {
+        sitesError.style.display = 'none';
+      } else {
+        sitesError.textContent = t('adminSaveSitesFailed', getResponseError(response));
+        sitesError.style.display = 'block';
+      }
+    });
   }
-  
-  document.getElementById('logTypeFilter').addEventListener('change', function() {
+
+  /**
+   * Loads the anomaly detection settings into the Policies tab
+   */
+  function loadAnomalySettings() {
+    chrome.storage.local.get([STORAGE_KEYS.ANOMALY_SETTINGS], function(result) {
+      const settings = result[STORAGE_KEYS.ANOMALY_SETTINGS] || {};
+      document.getElementById('anomalyEnabled').checked = !!settings.enabled;
+      document.getElementById('anomalyMaxBlocked').value = typeof settings.maxBlocked === 'number' ? settings.maxBlocked : 40;
+      document.getElementById('anomalyMaxAllowed').value = typeof settings.maxAllowed === 'number' ? settings.maxAllowed : 0;
+      document.getElementById('anomalyWindowSeconds').value = settings.windowSeconds || 120;
+      document.getElementById('anomalyCancelSessions').checked = !!settings.cancelSessions;
+      document.getElementById('anomalyLockdown').checked = !!settings.lockdown;
+    });
+  }
+
+  /**
+   * Saves the anomaly detection settings
+   */
+  function saveAnomalySettings() {
+    chrome.runtime.sendMessage({
+      action: 'saveAnomalySettings',
+      adminId: 'admin',
+      settings: {
+        enabled: document.getElementById('anomalyEnabled').checked,
+        maxBlocked: document.getElementById('anomalyMaxBlocked').value,
+        maxAllowed: document.getElementById('anomalyMaxAllowed').value,
+        windowSeconds: document.getElementById('anomalyWindowSeconds').value,
+        cancelSessions: document.getElementById('anomalyCancelSessions').checked,
+        lockdown: document.getElementById('anomalyLockdown').checked
+      }
+    }, function(response) {
+      const anomalyError = document.getElementById('anomalyError');
+      if (response && response.success) {
+        anomalyError.style.display = 'none';
+        loadAnomalySettings();
+      } else {
+        anomalyError.textContent = t('adminSaveAnomalyFailed', getResponseError(response));
+        anomalyError.style.display = 'block';
+      }
+    });
+  }
+
+  /**
+   * Loads the block notice branding into its form
+   */
+  function loadNotificationSettings() {
+    chrome.storage.local.get([STORAGE_KEYS.NOTIFICATION_SETTINGS], function(result) {
+      const settings = result[STORAGE_KEYS.NOTIFICATION_SETTINGS] || {};
+      document.getElementById('noticeTitle').value = settings.title || '';
+      document.getElementById('noticeAccentColor').value = settings.accentColor || '#ea4335';
+      document.getElementById('noticeSupportText').value = settings.supportText || '';
+      document.getElementById('noticeRequestAccess').checked = settings.requestAccess !== false;
+    });
+  }
+
+  /**
+   * Saves the block notice branding
+   */
+  function saveNotificationSettings() {
+    chrome.runtime.sendMessage({
+      action: 'saveNotificationSettings',
+      adminId: 'admin',
+      settings: {
+        title: document.getElementById('noticeTitle').value,
+        accentColor: document.getElementById('noticeAccentColor').value,
+        supportText: document.getElementById('noticeSupportText').value,
+        requestAccess: document.getElementById('noticeRequestAccess').checked
+      }
+    }, function(response) {
+      const noticeError = document.getElementById('noticeError');
+      if (response && response.success) {
+        noticeError.style.display = 'none';
+        loadNotificationSettings();
+      } else {
+        noticeError.textContent = t('adminSaveNoticesFailed', getResponseError(response));
+        noticeError.style.display = 'block';
+      }
+    });
+  }
+
+  /**
+   * Loads the keyboard shortcut tables and shows the selected platform's
+   */
+  function loadShortcutSettings() {
+    chrome.runtime.sendMessage({ action: 'getShortcuts' }, function(response) {
+      if (response && response.success) {
+        shortcutSettings = response.settings;
+        shortcutDefaults = response.defaults;
+        showShortcutPlatform();
+      }
+    });
+  }
+
+  /**
+   * Fills the per-action shortcut fields for the selected platform
+   * Switching platforms drops unsaved edits
+   */
+  function showShortcutPlatform() {
+    const platform = document.getElementById('shortcutPlatform').value;
+    const customized = Array.isArray(shortcutSettings[platform]);
+    const entries = (customized ? shortcutSettings[platform] : shortcutDefaults[platform]) || [];
+    document.querySelectorAll('[data-shortcut-action]').forEach(input => {
+      input.value = entries
+        .filter(entry => entry.action === input.dataset.shortcutAction)
+        .map(entry => entry.keys)
+        .join(', ');
+    });
+    document.getElementById('shortcutSource').textContent = t(customized ? 'adminShortcutsCustomized' : 'adminShortcutsDefault');
+    document.getElementById('shortcutError').style.display = 'none';
+  }
+
+  /**
+   * Saves the selected platform's shortcut table, or resets it to the defaults
+   * @param {boolean} reset - True to drop the saved table
+   */
+  function saveShortcutSettings(reset) {
+    const entries = [];
+    document.querySelectorAll('[data-shortcut-action]').forEach(input => {
+      input.value.split(',').map(keys => keys.trim()).filter(Boolean).forEach(keys => {
+        entries.push({ keys: keys, action: input.dataset.shortcutAction });
+      });
+    });
+    const shortcutError = document.getElementById('shortcutError');
+    if (!reset && !entries.length) {
+      shortcutError.textContent = t('adminSaveShortcutsFailed', t('error_shortcutTableEmpty'));
+      shortcutError.style.display = 'block';
+      return;
+    }
+    
+    chrome.runtime.sendMessage({
+      action: 'saveShortcuts',
+      adminId: 'admin',
+      platform: document.getElementById('shortcutPlatform').value,
+      entries: reset ? null : entries
+    }, function(response) {
+      if (response && response.success) {
+        loadShortcutSettings();
+      } else {
+        shortcutError.textContent = t('adminSaveShortcutsFailed', getResponseError(response));
+        shortcutError.style.display = 'block';
+      }
+    });
+  }
+
+  /**
+   * Loads the document groups into their text box, one "Name: ID, ID" line per group
+   */
+  function loadDocumentGroups() {
+    chrome.storage.local.get([STORAGE_KEYS.DOCUMENT_GROUPS], function(result) {
+      documentGroups = result[STORAGE_KEYS.DOCUMENT_GROUPS] || [];
+      document.getElementById('documentGroupsInput').value = documentGroups
+        .map(group => group.name + ': ' + group.resourceIds.join(', '))
+        .join('\n');
+      document.getElementById('documentGroupsError').style.display = 'none';
+    });
+  }
+
+  /**
+   * Parses and saves the document groups
+   */
+  function saveDocumentGroups() {
+    const documentGroupsError = document.getElementById('documentGroupsError');
+    const groups = [];
+    const lines = document.getElementById('documentGroupsInput').value.split('\n');
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      if (!line) {
+        continue;
+      }
+      // The first colon ends the name (document URLs have colons of their own)
+      const separator = line.indexOf(':');
+      if (separator <= 0) {
+        documentGroupsError.textContent = t('adminDocumentGroupLineInvalid', i + 1);
+        documentGroupsError.style.display = 'block';
+        return;
+      }
+      const resourceIds = [];
+      const entries = line.slice(separator + 1).split(/[,\s]+/).filter(Boolean);
+      for (const entry of entries) {
+        const parsed = parseResourceInput(entry);
+        if (!parsed || parsed.resourceId === '*') {
+          documentGroupsError.textContent = t('adminDocumentGroupInvalidDocument', [i + 1, entry]);
+          documentGroupsError.style.display = 'block';
+          return;
+        }
+        resourceIds.push(parsed.resourceId);
+      }
+      groups.push({ name: line.slice(0, separator).trim(), resourceIds: resourceIds });
+    }
+    
+    chrome.runtime.sendMessage({
+      action: 'saveDocumentGroups',
+      adminId: 'admin',
+      groups: groups
+    }, function(response) {
+      if (response && response.success) {
+        loadDocumentGroups();
+      } else {
+        documentGroupsError.textContent = t('adminSaveDocumentGroupsFailed', getResponseError(response));
+        documentGroupsError.style.display = 'block';
+      }
+    });
+  }
+
+  /**
+   * Loads and displays protection policies
+   */
+  function loadPolicies() {
+    chrome.storage.local.get([STORAGE_KEYS.PROTECTION_POLICIES], function(result) {
+      const policies = result[STORAGE_KEYS.PROTECTION_POLICIES] || [];
+
+      // Wildcard rules first, then by document and tab
+      policies.sort((a, b) => {
+        if (a.resourceId === '*' && b.resourceId !== '*') return -1;
+        if (b.resourceId === '*' && a.resourceId !== '*') return 1;
+        return a.resourceId.localeCompare(b.resourceId) || (a.gid || '').localeCompare(b.gid || '');
+      });
+
+      // Store filtered data for pagination
+      filteredData.policies = policies;
+
+      // Render with pagination
+      renderPoliciesPage();
+    });
+  }
+
+  /**
+   * Renders policies with pagination
+   */
+  function renderPoliciesPage() {
+    const tbody = document.getElementById('policiesTableBody');
+    const policies = filteredData.policies;
+    const totalPages = Math.ceil(policies.length / ITEMS_PER_PAGE);
+    const page = currentPage.policies;
+    const start = (page - 1) * ITEMS_PER_PAGE;
+    const end = start + ITEMS_PER_PAGE;
+    const pagePolicies = policies.slice(start, end);
+
+    if (policies.length === 0) {
+      tbody.innerHTML = `<tr><td colspan="7" class="empty-state">${t('adminNoPolicies')}</td></tr>`;
+      updatePagination('policies', 0, 0);
+      return;
+    }
+
+    tbody.innerHTML = pagePolicies.map(policy => {
+      const isWildcard = policy.resourceId === '*';
+      const productLabel = PRODUCT_LABELS[policy.product] ? PRODUCT_LABELS[policy.product] + ': ' : '';
+      const statusBadge = policy.enabled
+        ? `<span class="status-badge status-enabled">${t('adminEnabled')}</span>`
+        : `<span class="status-badge status-disabled">${t('adminDisabled')}</span>`;
+      const enforcedActions = Object.keys(ACTION_LABELS)
+        .filter(action => !policy.actions || policy.actions[action] !== false)
+        .map(action => `<span class="action-chip">${ACTION_LABELS[action]}</span>`)
+        .join('') +
+        (policy.enforcement === 'monitor' ? `<span class="action-chip">${t('adminChipMonitorOnly')}</span>` : '') +
+        (policy.cancelDownloadsWithoutSession ? `<span class="action-chip">${t('adminChipDownloadsNeedSession')}</span>` : '') +
+        (policy.breakGlass ? `<span class="action-chip">${t('adminChipBreakGlass')}</span>` : '') +
+        (policy.messages && Object.keys(policy.messages).length ? `<span class="action-chip">${t('adminChipCustomMessages')}</span>` : '') +
+        (policy.copyMode === 'sensitive' ? `<span class="action-chip">${t('adminChipCopySensitive')}</span>` : '') +
+        (policy.copyMode === 'redact' ? `<span class="action-chip">${t('adminChipCopyRedacted')}</span>` : '') +
+        (policy.pasteInspection && policy.pasteInspection.mode !== 'off' ? `<span class="action-chip">${t('adminChipPaste', PASTE_MODE_LABELS[policy.pasteInspection.mode])}</span>` : '') +
+        (policy.watermark && policy.watermark.enabled ? `<span class="action-chip">${t('adminChipWatermark')}</span>` : '') +
+        (policy.privacyBlur && policy.privacyBlur.enabled ? `<span class="action-chip">${t('adminChipPrivacyBlur')}</span>` : '') +
+        (policy.largeSelection && policy.largeSelection.enabled
+          ? `<span class="action-chip">${t(policy.largeSelection.action === 'justify' ? 'adminChipMaxCellsJustify' : 'adminChipMaxCells', NUMBER_FORMAT.format(policy.largeSelection.maxCells))}</span>`
+          : '');
+
+      return `
+        <tr>
+          <td style="max-width: 300px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${isWildcard ? t('adminAllDocuments') : productLabel + escapeHtml(policy.resourceId)}</td>
+          <td>${policy.gid ? escapeHtml(policy.gid) : (!policy.product || policy.product === 'sheets' || policy.product === 'airtable' || isWildcard ? t('adminAllTabs') : t('commonNotAvailable'))}</td>
+          <td>${statusBadge}</td>
+          <td>${policy.enabled ? (enforcedActions || t('adminNone')) : t('commonNotAvailable')}</td>
+          <td>${policy.description ? escapeHtml(policy.description) : t('commonNotAvailable')}</td>
+          <td>${formatDateTime(policy.updatedAt)}</td>
+          <td>
+            <div class="action-buttons">
+              <button class="btn btn-outline btn-small" data-action="edit" data-policy-id="${policy.id}">${t('commonEdit')}</button>
+              <button class="btn btn-deny btn-small" data-action="delete" data-policy-id="${policy.id}">${t('commonRemove')}</button>
+            </div>
+          </td>
+        </tr>
+      `;
+    }).join('');
+
+    // Attach event listeners to buttons using event delegation
+    attachPolicyButtonListeners();
+
+    // Update pagination
+    updatePagination('policies', policies.length, totalPages);
+  }
+
+  /**
+   * Attaches event listeners to edit/remove buttons using event delegation
+   */
+  function attachPolicyButtonListeners() {
+    const tbody = document.getElementById('policiesTableBody');
+    if (!tbody) return;
+
+    // Remove existing listeners to avoid duplicates
+    const newTbody = tbody.cloneNode(true);
+    tbody.parentNode.replaceChild(newTbody, tbody);
+
+    newTbody.addEventListener('click', function(event) {
+      const button = event.target.closest('button[data-action]');
+      if (!button) return;
+
+      const policyId = button.dataset.policyId;
+      if (!policyId) return;
+
+      if (button.dataset.action === 'edit') {
+        editPolicy(policyId);
+      } else if (button.dataset.action === 'delete') {
+        deletePolicy(policyId);
+      }
+    });
+  }
+
+  /**
+   * Fills the policy form with an existing rule for editing
+   */
+  function editPolicy(policyId) {
+    const policy = filteredData.policies.find(p => p.id === policyId);
+    if (!policy) return;
+
+    document.getElementById('policyId').value = policy.id;
+    document.getElementById('policyResourceId').value = policy.resourceId;
+    document.getElementById('policyResourceId').dataset.resourceId = policy.resourceId;
+    document.getElementById('policyResourceId').dataset.product = policy.product || '';
+    document.getElementById('policyGid').value = policy.gid || '';
+    document.getElementById('policyEnabled').value = String(policy.enabled !== false);
+    document.getElementById('policyDescription').value = policy.description || '';
+    setPolicyActionCheckboxes(policy.actions);
+    setPolicyMessageFields(policy.messages);
+    document.getElementById('policyCancelDownloads').checked = policy.cancelDownloadsWithoutSession === true;
+    document.getElementById('policyBreakGlass').checked = policy.breakGlass === true;
+    document.getElementById('policyCopyMode').value = policy.copyMode || 'all';
+    document.getElementById('policyEnforcement').value = policy.enforcement === 'monitor' ? 'monitor' : 'block';
+    renderPolicyClassifierOptions(policy.classifiers);
+    document.getElementById('policyPasteMode').value = policy.pasteInspection ? policy.pasteInspection.mode : 'off';
+    renderPolicyClassifierOptions(policy.pasteInspection ? policy.pasteInspection.classifiers : null, 'policyPasteClassifierOptions');
+    setPolicyWatermarkFields(policy.watermark);
+    setPolicyBlurFields(policy.privacyBlur);
+    setPolicyLargeSelectionFields(policy.largeSelection);
+    document.getElementById('savePolicyButton').textContent = t('adminSavePolicy');
+    document.getElementById('cancelPolicyButton').style.display = 'inline-block';
+    document.getElementById('policyError').style.display = 'none';
+  }
+
+  /**
+   * Sets the action matrix checkboxes (missing actions default to enforced)
+   */
+  function setPolicyActionCheckboxes(actions) {
+    document.querySelectorAll('#policyActions input[data-policy-action]').forEach(checkbox => {
+      checkbox.checked = !actions || actions[checkbox.dataset.policyAction] !== false;
+    });
+  }
+
+  /**
+   * Reads the action matrix checkboxes
+   * @returns {Object} - Action name → enforced flag
+   */
+  function getPolicyActionCheckboxes() {
+    const actions = {};
+    document.querySelectorAll('#policyActions input[data-policy-action]').forEach(checkbox => {
+      actions[checkbox.dataset.policyAction] = checkbox.checked;
+    });
+    return actions;
+  }
+
+  /**
+   * Loads a policy's block messages into the form, starting with the
+   * any-language text (empty = default text)
+   * @param {Object|null} messages - Language → action name → message; policies
+   *   saved before notices were localized hold one action → message map
+   */
+  function setPolicyMessageFields(messages) {
+    const isLegacy = messages && Object.keys(messages).some(key => typeof messages[key] === 'string');
+    policyMessageDraft = JSON.parse(JSON.stringify(isLegacy ? { default: messages } : (messages || {})));
+    policyMessageLocale = 'default';
+    document.getElementById('policyMessageLocale').value = policyMessageLocale;
+    showPolicyMessageLocale();
+  }
+
+  /**
+   * Fills the message fields with the draft text of the selected language
+   */
+  function showPolicyMessageLocale() {
+    const localeMessages = policyMessageDraft[policyMessageLocale] || {};
+    document.querySelectorAll('#policyMessages input[data-policy-message]').forEach(input => {
+      input.value = localeMessages[input.dataset.policyMessage] || '';
+    });
+  }
+
+  /**
+   * Keeps the message fields' text in the draft of the selected language
+   */
+  function storePolicyMessageLocale() {
+    const localeMessages = {};
+    document.querySelectorAll('#policyMessages input[data-policy-message]').forEach(input => {
+      localeMessages[input.dataset.policyMessage] = input.value.trim();
+    });
+    policyMessageDraft[policyMessageLocale] = localeMessages;
+  }
+
+  /**
+   * Switches the message fields to another language, keeping the text entered so far
+   */
+  function switchPolicyMessageLocale() {
+    storePolicyMessageLocale();
+    policyMessageLocale = document.getElementById('policyMessageLocale').value;
+    showPolicyMessageLocale();
+  }
+
+  /**
+   * Reads the block messages of every language
+   * @returns {Object} - Language → action name → message
+   */
+  function getPolicyMessageFields() {
+    storePolicyMessageLocale();
+    return policyMessageDraft;
+  }
+
+  /**
+   * Sets the watermark fields (defaults when the policy has no watermark)
+   */
+  function setPolicyWatermarkFields(watermark) {
+    document.getElementById('policyWatermarkEnabled').checked = !!(watermark && watermark.enabled);
+    document.getElementById('policyWatermarkOpacity').value = watermark && watermark.opacity ? watermark.opacity : 0.12;
+    document.getElementById('policyWatermarkTemplate').value = watermark && watermark.template ? watermark.template : '';
+  }
+
+  /**
+   * Sets the privacy blur fields (defaults when the policy has no blur settings)
+   */
+  function setPolicyBlurFields(privacyBlur) {
+    document.getElementById('policyBlurEnabled').checked = !!(privacyBlur && privacyBlur.enabled);
+    document.getElementById('policyBlurOnHidden').checked = !privacyBlur || privacyBlur.onHidden !== false;
+    document.getElementById('policyBlurOnBlur').checked = !!(privacyBlur && privacyBlur.onBlur);
+    document.getElementById('policyBlurIdleSeconds').value = privacyBlur && privacyBlur.idleSeconds ? privacyBlur.idleSeconds : 0;
+  }
+
+  /**
+   * Sets the large-selection guard fields (defaults when the policy has no guard)
+   */
+  function setPolicyLargeSelectionFields(largeSelection) {
+    document.getElementById('policyLargeSelectionEnabled').checked = !!(largeSelection && largeSelection.enabled);
+    document.getElementById('policyLargeSelectionMaxCells').value = largeSelection && largeSelection.maxCells ? largeSelection.maxCells : 200;
+    document.getElementById('policyLargeSelectionAction').value = largeSelection && largeSelection.action === 'justify' ? 'justify' : 'block';
+  }
+
+  /**
+   * Clears the policy form back to "add" mode
+   */
+  function resetPolicyForm() {
+    document.getElementById('policyId').value = '';
+    document.getElementById('policyResourceId').value = '';
+    document.getElementById('policyResourceId').dataset.resourceId = '';
+    document.getElementById('policyResourceId').dataset.product = '';
+    document.getElementById('policyGid').value = '';
+    document.getElementById('policyEnabled').value = 'true';
+    document.getElementById('policyDescription').value = '';
+    setPolicyActionCheckboxes(null);
+    setPolicyMessageFields(null);
+    document.getElementById('policyCancelDownloads').checked = false;
+    document.getElementById('policyBreakGlass').checked = false;
+    document.getElementById('policyCopyMode').value = 'all';
+    document.getElementById('policyEnforcement').value = 'block';
+    renderPolicyClassifierOptions(null);
+    document.getElementById('policyPasteMode').value = 'off';
+    renderPolicyClassifierOptions(null, 'policyPasteClassifierOptions');
+    setPolicyWatermarkFields(null);
+    setPolicyBlurFields(null);
+    setPolicyLargeSelectionFields(null);
+    document.getElementById('savePolicyButton').textContent = t('adminAddPolicy');
+    document.getElementById('cancelPolicyButton').style.display = 'none';
+    document.getElementById('policyError').style.display = 'none';
+  }
+
+  /**
+   * Shows a validation error under the policy form
+   */
+  function showPolicyError(message) {
+    const policyError = document.getElementById('policyError');
+    policyError.textContent = message;
+    policyError.style.display = 'block';
+  }
+
+  /**
+   * Saves the policy form (add or update)
+   */
+  function savePolicy() {
+    const resourceInput = document.getElementById('policyResourceId');
+    const target = parseResourceInput(resourceInput.value);
+    if (!target) {
+      showPolicyError(t('adminPolicyInvalidDocument'));
+      return;
+    }
+    // Editing keeps the product a rule was created with when only the raw ID is shown
+    const product = target.product ||
+      (target.resourceId === resourceInput.dataset.resourceId ? resourceInput.dataset.product : null) ||
+      null;
+
+    const gidInput = document.getElementById('policyGid').value.trim();
+    if (gidInput && !/^\d+$/.test(gidInput) && !/^tbl[a-zA-Z0-9]+$/.test(gidInput)) {
+      showPolicyError(t('adminPolicyInvalidTab'));
+      return;
+    }
+
+    chrome.runtime.sendMessage({
+      action: 'savePolicy',
+      adminId: 'admin',
+      policy: {
+        id: document.getElementById('policyId').value || null,
+        resourceId: target.resourceId,
+        product: product,
+        gid: gidInput || target.gid,
+        enabled: document.getElementById('policyEnabled').value === 'true',
+        actions: getPolicyActionCheckboxes(),
+        cancelDownloadsWithoutSession: document.getElementById('policyCancelDownloads').checked,
+        breakGlass: document.getElementById('policyBreakGlass').checked,
+        messages: getPolicyMessageFields(),
+        copyMode: document.getElementById('policyCopyMode').value,
+        enforcement: document.getElementById('policyEnforcement').value,
+        classifiers: getPolicyClassifierSelection(),
+        pasteInspection: {
+          mode: document.getElementById('policyPasteMode').value,
+          classifiers: getPolicyClassifierSelection('policyPasteClassifierOptions')
+        },
+        watermark: {
+          enabled: document.getElementById('policyWatermarkEnabled').checked,
+          opacity: document.getElementById('policyWatermarkOpacity').value,
+          template: document.getElementById('policyWatermarkTemplate').value.trim()
+        },
+        privacyBlur: {
+          enabled: document.getElementById('policyBlurEnabled').checked,
+          onHidden: document.getElementById('policyBlurOnHidden').checked,
+          onBlur: document.getElementById('policyBlurOnBlur').checked,
+          idleSeconds: document.getElementById('policyBlurIdleSeconds').value
+        },
+        largeSelection: {
+          enabled: document.getElementById('policyLargeSelectionEnabled').checked,
+          maxCells: document.getElementById('policyLargeSelectionMaxCells').value,
+          action: document.getElementById('policyLargeSelectionAction').value
+        },
+        description: document.getElementById('policyDescription').value.trim()
+      }
+    }, function(response) {
+      if (response && response.success) {
+        resetPolicyForm();
+        loadPolicies();
+      } else {
+        showPolicyError(t('adminSavePolicyFailed', getResponseError(response)));
+      }
+    });
+  }
+
+  /**
+   * Removes a policy rule
+   */
+  function deletePolicy(policyId) {
+    if (!confirm(t('adminRemovePolicyConfirm'))) {
+      return;
+    }
+
+    chrome.runtime.sendMessage({
+      action: 'deletePolicy',
+      policyId: policyId,
+      adminId: 'admin'
+    }, function(response) {
+      if (response && response.success) {
+        resetPolicyForm();
+        loadPolicies();
+      } else {
+        alert(t('adminRemovePolicyFailed', getResponseError(response)));
+      }
+    });
+  }
+
+  /**
+   * Renders the classifier checkboxes of the policy form
+   * @param {string[]|null} selected - Selected classifier IDs (null = all)
+   */
+  function renderPolicyClassifierOptions(selected, containerId) {
+    const container = document.getElementById(containerId || 'policyClassifierOptions');
+    const all = BUILTIN_CLASSIFIERS.concat(filteredData.classifiers);
+
+    container.innerHTML = all.map(classifier => {
+      const checked = !Array.isArray(selected) || selected.indexOf(classifier.id) !== -1;
+      return `<label style="display: inline-flex; margin-right: 16px;"><input type="checkbox" data-classifier-id="${escapeHtml(classifier.id)}" ${checked ? 'checked' : ''}> ${escapeHtml(classifier.name)}</label>`;
+    }).join('');
+  }
+
+  /**
+   * Reads the classifier checkboxes of the policy form
+   * @returns {string[]|null} - Selected IDs, or null when all are selected
+   */
+  function getPolicyClassifierSelection(containerId) {
+    const checkboxes = Array.from(document.querySelectorAll('#' + (containerId || 'policyClassifierOptions') + ' input[data-classifier-id]'));
+    const selected = checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.dataset.classifierId);
+
+    // All selected = follow every classifier, including ones added later
+    return selected.length === checkboxes.length ? null : selected;
+  }
+
+  /**
+   * Loads and displays custom classifiers
+   */
+  function loadClassifiers() {
+    chrome.storage.local.get([STORAGE_KEYS.CUSTOM_CLASSIFIERS], function(result) {
+      const classifiers = result[STORAGE_KEYS.CUSTOM_CLASSIFIERS] || [];
+      classifiers.sort((a, b) => a.name.localeCompare(b.name));
+
+      // Keep the policy form's selection while refreshing its options
+      const editingPolicyId = document.getElementById('policyId').value;
+      const selected = editingPolicyId ? getPolicyClassifierSelection() : null;
+      const pasteSelected = editingPolicyId ? getPolicyClassifierSelection('policyPasteClassifierOptions') : null;
+
+      filteredData.classifiers = classifiers;
+      renderPolicyClassifierOptions(selected);
+      renderPolicyClassifierOptions(pasteSelected, 'policyPasteClassifierOptions');
+      renderClassifiersPage();
+    });
+  }
+
+  /**
+   * Renders custom classifiers with pagination
+   */
+  function renderClassifiersPage() {
+    const tbody = document.getElementById('classifiersTableBody');
+    const classifiers = filteredData.classifiers;
+    const totalPages = Math.ceil(classifiers.length / ITEMS_PER_PAGE);
+    const page = currentPage.classifiers;
+    const start = (page - 1) * ITEMS_PER_PAGE;
+    const end = start + ITEMS_PER_PAGE;
+    const pageClassifiers = classifiers.slice(start, end);
+
+    if (classifiers.length === 0) {
+      tbody.innerHTML = `<tr><td colspan="5" class="empty-state">${t('adminNoClassifiers')}</td></tr>`;
+      updatePagination('classifiers', 0, 0);
+      return;
+    }
+
+    tbody.innerHTML = pageClassifiers.map(classifier => {
+      const typeLabel = t(classifier.type === 'keywords' ? 'adminClassifierKeywordsType' : 'adminClassifierRegexType');
+      const definition = classifier.type === 'keywords'
+        ? classifier.keywords.join(', ')
+        : '/' + classifier.pattern + '/' + (classifier.flags || '');
+
+      return `
+        <tr>
+          <td>${escapeHtml(classifier.name)}</td>
+          <td>${classifier.caseSensitive ? t('adminClassifierCaseSensitiveSuffix', typeLabel) : typeLabel}</td>
+          <td style="max-width: 300px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; font-family: monospace;">${escapeHtml(definition)}</td>
+          <td>${formatDateTime(classifier.updatedAt)}</td>
+          <td>
+            <div class="action-buttons">
+              <button class="btn btn-outline btn-small" data-action="edit" data-classifier-id="${classifier.id}">${t('commonEdit')}</button>
+              <button class="btn btn-deny btn-small" data-action="delete" data-classifier-id="${classifier.id}">${t('commonRemove')}</button>
+            </div>
+          </td>
+        </tr>
+      `;
+    }).join('');
+
+    attachClassifierButtonListeners();
+    updatePagination('classifiers', classifiers.length, totalPages);
+  }
+
+  /**
+   * Attaches event listeners to classifier edit/remove buttons
+   */
+  function attachClassifierButtonListeners() {
+    const tbody = document.getElementById('classifiersTableBody');
+    if (!tbody) return;
+
+    // Remove existing listeners to avoid duplicates
+    const newTbody = tbody.cloneNode(true);
+    tbody.parentNode.replaceChild(newTbody, tbody);
+
+    newTbody.addEventListener('click', function(event) {
+      const button = event.target.closest('button[data-action]');
+      if (!button) return;
+
+      const classifierId = button.dataset.classifierId;
+      if (!classifierId) return;
+
+      if (button.dataset.action === 'edit') {
+        editClassifier(classifierId);
+      } else if (button.dataset.action === 'delete') {
+        deleteClassifier(classifierId);
+      }
+    });
+  }
+
+  /**
+   * Updates the pattern field label for the selected classifier type
+   */
+  function updateClassifierPatternLabel() {
+    const isKeywords = document.getElementById('classifierType').value === 'keywords';
+    document.getElementById('classifierPatternLabel').textContent = t(isKeywords ? 'adminClassifierKeywords' : 'adminClassifierPattern');
+    document.getElementById('classifierPattern').placeholder = t(isKeywords ? 'adminClassifierKeywordsPlaceholder' : 'adminClassifierPatternPlaceholder');
+  }
+
+  /**
+   * Fills the classifier form for editing
+   */
+  function editClassifier(classifierId) {
+    const classifier = filteredData.classifiers.find(c => c.id === classifierId);
+    if (!classifier) return;
+
+    document.getElementById('classifierId').value = classifier.id;
+    document.getElementById('classifierName').value = classifier.name;
+    document.getElementById('classifierType').value = classifier.type;
+    document.getElementById('classifierPattern').value = classifier.type === 'keywords'
+      ? classifier.keywords.join(', ')
+      : classifier.pattern;
+    document.getElementById('classifierCaseSensitive').checked = classifier.type === 'keywords'
+      ? classifier.caseSensitive === true
+      : (classifier.flags || '').indexOf('i') === -1;
+    document.getElementById('saveClassifierButton').textContent = t('adminSaveClassifier');
+    document.getElementById('cancelClassifierButton').style.display = 'inline-block';
+    document.getElementById('classifierError').style.display = 'none';
+    updateClassifierPatternLabel();
+  }
+
+  /**
+   * Clears the classifier form back to "add" mode
+   */
+  function resetClassifierForm() {
+    document.getElementById('classifierId').value = '';
+    document.getElementById('classifierName').value = '';
+    document.getElementById('classifierType').value = 'regex';
+    document.getElementById('classifierPattern').value = '';
+    document.getElementById('classifierCaseSensitive').checked = false;
+    document.getElementById('saveClassifierButton').textContent = t('adminAddClassifier');
+    document.getElementById('cancelClassifierButton').style.display = 'none';
+    document.getElementById('classifierError').style.display = 'none';
+    updateClassifierPatternLabel();
+  }
+
+  /**
+   * Shows a validation error under the classifier form
+   */
+  function showClassifierError(message) {
+    const classifierError = document.getElementById('classifierError');
+    classifierError.textContent = message;
+    classifierError.style.display = 'block';
+  }
+
+  /**
+   * Saves the classifier form (add or update)
+   */
+  function saveClassifier() {
+    const name = document.getElementById('classifierName').value.trim();
+    const type = document.getElementById('classifierType').value;
+    const value = document.getElementById('classifierPattern').value.trim();
+    const caseSensitive = document.getElementById('classifierCaseSensitive').checked;
+
+    if (!name || !value) {
+      showClassifierError(t('adminClassifierRequired'));
+      return;
+    }
+
+    const classifier = {
+      id: document.getElementById('classifierId').value || null,
+      name: name,
+      type: type,
+      caseSensitive: caseSensitive
+    };
+
+    if (type === 'keywords') {
+      classifier.keywords = value.split(',').map(keyword => keyword.trim()).filter(Boolean);
+    } else {
+      classifier.pattern = value;
+      classifier.flags = caseSensitive ? '' : 'i';
+      try {
+        new RegExp(classifier.pattern, classifier.flags);
+      } catch (error) {
+        showClassifierError(t('adminClassifierInvalidRegex', error.message));
+        return;
+      }
+    }
+
+    chrome.runtime.sendMessage({
+      action: 'saveClassifier',
+      adminId: 'admin',
+      classifier: classifier
+    }, function(response) {
+      if (response && response.success) {
+        resetClassifierForm();
+        loadClassifiers();
+      } else {
+        showClassifierError(t('adminSaveClassifierFailed', getResponseError(response)));
+      }
+    });
+  }
+
+  /**
+   * Removes a custom classifier
+   */
+  function deleteClassifier(classifierId) {
+    if (!confirm(t('adminRemoveClassifierConfirm'))) {
+      return;
+    }
+
+    chrome.runtime.sendMessage({
+      action: 'deleteClassifier',
+      classifierId: classifierId,
+      adminId: 'admin'
+    }, function(response) {
+      if (response && response.success) {
+        resetClassifierForm();
+        loadClassifiers();
+      } else {
+        alert(t('adminRemoveClassifierFailed', getResponseError(response)));
+      }
+    });
+  }
+
+  /**
+   * Exports logs to JSON
+   */
+  function exportLogs() {
+    chrome.storage.local.get([STORAGE_KEYS.AUDIT_LOGS], function(result) {
+      const logs = result[STORAGE_KEYS.AUDIT_LOGS] || [];
+      const dataStr = JSON.stringify(logs, null, 2);
+      const dataBlob = new Blob([dataStr], { type: 'application/json' });
+      const url = URL.createObjectURL(dataBlob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-logs-${new Date().toISOString().split('T')[0]}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    });
+  }
+
+  // Event listeners
+  loginButton.addEventListener('click', handleLogin);
+  adminPasswordInput.addEventListener('keypress', function(e) {
+    if (e.key === 'Enter') {
+      handleLogin();
+    }
+  });
+  logoutButton.addEventListener('click', handleLogout);
+  exportLogsButton.addEventListener('click', exportLogs);
+  document.getElementById('saveSitesButton').addEventListener('click', saveEnabledSites);
+  document.getElementById('saveAnomalyButton').addEventListener('click', saveAnomalySettings);
+  document.getElementById('saveNoticeButton').addEventListener('click', saveNotificationSettings);
+  document.getElementById('shortcutPlatform').addEventListener('change', showShortcutPlatform);
+  document.getElementById('saveShortcutsButton').addEventListener('click', function() {
+    saveShortcutSettings(false);
+  });
+  document.getElementById('resetShortcutsButton').addEventListener('click', function() {
+    saveShortcutSettings(true);
+  });
+  document.getElementById('saveDocumentGroupsButton').addEventListener('click', saveDocumentGroups);
+  document.getElementById('lockdownsTableBody').addEventListener('click', function(event) {
+    const button = event.target.closest('button[data-action="clear"]');
+    if (button) {
+      clearLockdown(button.dataset.lockdownId);
+    }
+  });
+  document.getElementById('savePolicyButton').addEventListener('click', savePolicy);
+  document.getElementById('cancelPolicyButton').addEventListener('click', resetPolicyForm);
+  document.getElementById('saveClassifierButton').addEventListener('click', saveClassifier);
+  document.getElementById('cancelClassifierButton').addEventListener('click', resetClassifierForm);
+  document.getElementById('classifierType').addEventListener('change', updateClassifierPatternLabel);
+  document.getElementById('policyMessageLocale').addEventListener('change', switchPolicyMessageLocale);
+
+  tabs.forEach(tab => {
+    tab.addEventListener('click', function() {
+      switchTab(this.dataset.tab);
+    });
+  });
+
+  // Filter listeners with debouncing
+  let logFilterTimeout = null;
+  function debouncedLoadLogs() {
+    if (logFilterTimeout) clearTimeout(logFilterTimeout);
+    logFilterTimeout = setTimeout(loadLogs, 300);
+  }
+  
+  document.getElementById('logTypeFilter').addEventListener('change', function() {
+    currentPage.logs = 1;
+    loadLogs();
+  });
+  document.getElementById('logEnforcementFilter').addEventListener('change', function() {
     currentPage.logs = 1;
     loadLogs();
   });
@@ -696,6 +2045,7 @@
   });
 
   // Initialize
+  localizePage();
   initAdminPassword();
   checkAuth();
 
@@ -706,7 +2056,10 @@
       if (activeTab && activeTab.dataset.tab === 'requests') {
         loadRequests();
       } else if (activeTab && activeTab.dataset.tab === 'sessions') {
+        loadLockdowns();
         loadSessions();
+      } else if (activeTab && activeTab.dataset.tab === 'breakGlass') {
+        loadBreakGlass();
       } else if (activeTab && activeTab.dataset.tab === 'devices') {
         loadDevices();
       }
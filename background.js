@@ -12,14 +12,126 @@
     APPROVED_SESSIONS: 'approvedSessions',
     AUDIT_LOGS: 'auditLogs',
     TRACKED_DEVICES: 'trackedDevices',
-    REMOVED_DEVICES_COUNT: 'removedDevicesCount'
+    REMOVED_DEVICES_COUNT: 'removedDevicesCount',
+    PROTECTION_POLICIES: 'protectionPolicies',
+    PROTECTION_DEFAULT: 'sheetsProtectionEnabled',
+    PROTECTION_USER_ID: 'sheetsProtectionUserId',
+    CUSTOM_CLASSIFIERS: 'customClassifiers',
+    ENABLED_SITES: 'enabledSites',
+    ANOMALY_SETTINGS: 'anomalySettings',
+    LOCKDOWNS: 'lockdowns',
+    NOTIFICATION_SETTINGS: 'notificationSettings',
+    SHORTCUT_SETTINGS: 'shortcutSettings',
+    DOCUMENT_GROUPS: 'documentGroups'
   };
 
+  // Copy/cut modes: block every copy, only payloads a DLP classifier matches,
+  // or let copies through with sensitive values masked
+  const COPY_MODES = ['all', 'sensitive', 'redact'];
+  
+  // What to do with sensitive data pasted into a protected document
+  const PASTE_MODES = ['off', 'log', 'warn', 'block'];
+  
+  // Watermark opacity bounds (see normalizeWatermark)
+  const WATERMARK_DEFAULT_OPACITY = 0.12;
+  const WATERMARK_MIN_OPACITY = 0.05;
+  const WATERMARK_MAX_OPACITY = 0.5;
+  
+  // Cells per copy when a large-selection guard has no valid limit
+  const LARGE_SELECTION_DEFAULT_MAX_CELLS = 200;
+  
+  // Blocked actions a policy can word its own notice for (see DEFAULT_NOTICE_MESSAGES in content.js)
+  const NOTICE_MESSAGE_ACTIONS = ['copy', 'cut', 'paste', 'selectAll', 'contextMenu', 'print'];
+  const NOTICE_TEXT_MAX_LENGTH = 300;
+  // Languages a policy can word its notices in ('default' = any language; see _locales)
+  const NOTICE_MESSAGE_LOCALES = ['default', 'en', 'de', 'es', 'hi'];
+
+  // Keyboard shortcut tables admins can replace, one per platform (see getShortcutKeys in content.js)
+  const SHORTCUT_PLATFORMS = ['win', 'mac', 'linux', 'cros'];
+  const SHORTCUT_ACTIONS = ['copy', 'cut', 'paste', 'selectAll', 'contextMenu', 'print'];
+  const SHORTCUT_MODIFIERS = { ctrl: 'Ctrl', control: 'Ctrl', cmd: 'Cmd', command: 'Cmd', meta: 'Cmd', alt: 'Alt', option: 'Alt', shift: 'Shift' };
+  const SHORTCUT_NAMED_KEYS = ['Insert', 'Delete', 'Backspace', 'Enter', 'Escape', 'Tab', 'Space', 'ContextMenu',
+    'Home', 'End', 'PageUp', 'PageDown', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
+  const SHORTCUT_KEY_ALIASES = { ins: 'Insert', del: 'Delete', esc: 'Escape', menu: 'ContextMenu' };
+  // Shortcuts that trigger a protected action until an admin replaces a platform's
+  // table in the Policies tab; content.js and admin.js get them with 'getShortcuts'
+  const PC_SHORTCUTS = [
+    { keys: 'Ctrl+C', action: 'copy' },
+    { keys: 'Ctrl+Insert', action: 'copy' },
+    { keys: 'Ctrl+X', action: 'cut' },
+    { keys: 'Shift+Delete', action: 'cut' },
+    { keys: 'Ctrl+V', action: 'paste' },
+    { keys: 'Shift+Insert', action: 'paste' },
+    { keys: 'Ctrl+Shift+V', action: 'paste' }, // paste values only
+    { keys: 'Ctrl+A', action: 'selectAll' },
+    { keys: 'Shift+F10', action: 'contextMenu' },
+    { keys: 'ContextMenu', action: 'contextMenu' }, // the menu key
+    { keys: 'Ctrl+P', action: 'print' },
+    { keys: 'Ctrl+Shift+P', action: 'print' } // system print dialog
+  ];
+  const DEFAULT_SHORTCUTS = {
+    win: PC_SHORTCUTS,
+    linux: PC_SHORTCUTS,
+    cros: PC_SHORTCUTS,
+    // Mac keyboards have no menu key
+    mac: [
+      { keys: 'Cmd+C', action: 'copy' },
+      { keys: 'Cmd+X', action: 'cut' },
+      { keys: 'Cmd+V', action: 'paste' },
+      { keys: 'Cmd+Shift+V', action: 'paste' }, // paste values only
+      { keys: 'Cmd+Alt+Shift+V', action: 'paste' }, // paste and match style
+      { keys: 'Cmd+A', action: 'selectAll' },
+      { keys: 'Cmd+P', action: 'print' },
+      { keys: 'Cmd+Shift+P', action: 'print' }
+    ]
+  };
+
+  // What an approved session unlocks: one sheet tab, one document, an admin-defined
+  // group of documents, or every document (see sessionCoversPage in content.js)
+  const SESSION_SCOPES = ['tab', 'document', 'group', 'all'];
+  // Actions a session can grant (sessions never lift selection blocking; see sessionGrantsAction in content.js)
+  const SESSION_ACTIONS = ['copy', 'cut', 'paste', 'selectAll', 'contextMenu', 'print', 'export'];
+  const A1_RANGE_PATTERN = /^(\$?[A-Z]{1,3}\$?\d+(:\$?[A-Z]{1,3}\$?\d+)?|\$?[A-Z]{1,3}:\$?[A-Z]{1,3}|\$?\d+:\$?\d+)$/i;
+
+  // Dynamic content script that hooks the clipboard in page context (see page-hooks.js)
+  const PAGE_HOOKS_SCRIPT_ID = 'page-hooks';
+
+  // Actions a policy can enforce independently (see content.js)
+  // 'export' is enforced here with declarativeNetRequest rules
+  const ENFORCEABLE_ACTIONS = ['copy', 'cut', 'paste', 'selectAll', 'contextMenu', 'selection', 'print', 'export'];
+
+  // Google products the extension protects, as URL path segments
+  // (Sheets, Docs, Slides and Forms - see SITE_ADAPTERS in content.js)
+  const PRODUCT_PATHS = '(?:spreadsheets|document|presentation|forms)';
+  const PROTECTED_URL_PATTERNS = [
+    'https://docs.google.com/spreadsheets/*',
+    'https://docs.google.com/document/*',
+    'https://docs.google.com/presentation/*',
+    'https://docs.google.com/forms/*'
+  ];
+  const RESOURCE_ID_PATTERN = new RegExp('/' + PRODUCT_PATHS + '/d/([a-zA-Z0-9_-]+)');
+  const PRODUCTS = ['sheets', 'docs', 'slides', 'forms', 'excel', 'airtable'];
+  // Products whose policies can target a single tab/table (gid)
+  const TABBED_PRODUCTS = ['sheets', 'airtable'];
+  // Sites admins can enable separately (see SITE_ADAPTERS in content.js)
+  const SITES = ['google', 'excelOnline', 'airtable'];
+  // Sites protected until changed in the Policies tab (keys match content.js)
+  const DEFAULT_ENABLED_SITES = { google: true, excelOnline: false, airtable: false };
+
+  // Export / alternate data-access endpoints under /<product>/d/<id>/
+  // (/d/e/<publishedId>/ covers "Publish to web" links, /downloadresponses is Forms' CSV export)
+  const EXPORT_ENDPOINTS = '(export|gviz/tq|htmlview|pub|pubhtml|downloadresponses)';
+  const EXPORT_URL_PATTERN = /^https:\/\/docs\.google\.com\/(?:spreadsheets|document|presentation|forms)\/d\/(?:e\/)?([a-zA-Z0-9_-]+)\/(export|gviz\/tq|htmlview|pubhtml|pub|downloadresponses)(?:[\/?#]|$)/;
+  const EXPORT_RESOURCE_TYPES = [
+    'main_frame', 'sub_frame', 'xmlhttprequest', 'other', 'script',
+    'image', 'object', 'media', 'ping', 'font', 'stylesheet'
+  ];
+  const EXPORT_RULE_SYNC_DELAY = 500;
+  let exportRuleSyncTimer = null;
+  let exportRuleExpiryTimer = null;
+
   // Cache for performance
   let badgeCountCache = 0;
-  let sessionsCache = null;
-  let sessionsCacheTime = 0;
-  const SESSION_CACHE_TTL = 5000; // 5 seconds
   
   // Device tracking
   let currentDeviceId = null;
@@ -27,6 +139,46 @@
   const REMOVAL_CHECK_INTERVAL = 60 * 1000; // 1 minute
   const REMOVAL_THRESHOLD = 60 * 60 * 1000; // 1 hour
 
+  // Anomaly detection: sliding windows of events per user, across documents
+  const DEFAULT_ANOMALY_SETTINGS = {
+    enabled: false,
+    windowSeconds: 120,
+    maxBlocked: 40,
+    maxAllowed: 0,
+    cancelSessions: false,
+    lockdown: false
+  };
+  let anomalySettings = DEFAULT_ANOMALY_SETTINGS;
+  const anomalyWindows = new Map();
+  let lockdownsCache = [];
+
+  // Tamper detection: per-tab protection heartbeats from content.js (top frames)
+  // Kept in session storage and checked by an alarm, so a sleeping service
+  // worker still notices a tab that went silent
+  const TAB_HEARTBEATS_KEY = 'tabHeartbeats'; // chrome.storage.session
+  const TAB_HEARTBEAT_ALARM = 'tabHeartbeatCheck';
+  const TAB_HEARTBEAT_CHECK_MINUTES = 1;
+  // Hidden tabs throttle timers to about once a minute, so allow a few missed beats
+  const TAB_HEARTBEAT_TIMEOUT = 3 * 60 * 1000; // 3 minutes
+  // Consecutive heartbeats with a different policy hash before a tab counts as stale
+  // (one mismatch is normal while a policy change reaches the tab)
+  const TAB_HEARTBEAT_STALE_REPORTS = 2;
+  // Tabs that must report: pages a site adapter covers (see SITE_ADAPTERS in
+  // content.js), including sites switched off in the Policies tab. content.js
+  // stays inert, and sends no heartbeat, on other pages of the same hosts
+  const TAB_HEARTBEAT_URL_PATTERNS = [
+    'https://docs.google.com/spreadsheets/*',
+    'https://docs.google.com/document/*',
+    'https://docs.google.com/presentation/*',
+    'https://docs.google.com/forms/*',
+    'https://*.officeapps.live.com/x/*',
+    'https://*.sharepoint.com/*_layouts/15/Doc.aspx*',
+    'https://*.sharepoint.com/*_layouts/15/WopiFrame.aspx*',
+    'https://onedrive.live.com/edit*',
+    'https://airtable.com/app*'
+  ];
+  let tabHeartbeatsLoaded = null; // Promise of tab ID → heartbeat record
+
   // Batch logging queue
   let logQueue = [];
   let logFlushTimer = null;
@@ -153,6 +305,447 @@
     }
   }
 
+  /**
+   * Normalizes a policy's action matrix (missing actions default to enforced)
+   * @param {Object} actions - Action name → enforced flag
+   * @returns {Object} - Complete action matrix
+   */
+  function normalizePolicyActions(actions) {
+    const normalized = {};
+    ENFORCEABLE_ACTIONS.forEach(action => {
+      normalized[action] = !actions || actions[action] !== false;
+    });
+    return normalized;
+  }
+
+  /**
+   * Normalizes a policy's watermark settings
+   * Opacity is clamped so the overlay stays readable but never hides the sheet
+   * @param {Object} watermark - Watermark settings from the admin form
+   * @returns {Object} - Complete watermark settings
+   */
+  function normalizeWatermark(watermark) {
+    const opacity = parseFloat(watermark && watermark.opacity);
+    return {
+      enabled: !!(watermark && watermark.enabled),
+      opacity: isNaN(opacity) ? WATERMARK_DEFAULT_OPACITY : Math.min(WATERMARK_MAX_OPACITY, Math.max(WATERMARK_MIN_OPACITY, opacity)),
+      template: (watermark && typeof watermark.template === 'string' && watermark.template.trim()) || ''
+    };
+  }
+
+  /**
+   * Normalizes a policy's privacy blur settings
+   * @param {Object} privacyBlur - Blur settings from the admin form
+   * @returns {Object} - Complete blur settings (idleSeconds 0 = no idle blur)
+   */
+  function normalizePrivacyBlur(privacyBlur) {
+    const idleSeconds = parseInt(privacyBlur && privacyBlur.idleSeconds, 10);
+    return {
+      enabled: !!(privacyBlur && privacyBlur.enabled),
+      onHidden: !privacyBlur || privacyBlur.onHidden !== false,
+      onBlur: !!(privacyBlur && privacyBlur.onBlur),
+      idleSeconds: isNaN(idleSeconds) || idleSeconds < 0 ? 0 : idleSeconds
+    };
+  }
+
+  /**
+   * Normalizes a policy's large-selection guard settings
+   * @param {Object} largeSelection - Guard settings from the admin form
+   * @returns {Object} - Complete guard settings ('block' unless set to ask for a justification)
+   */
+  function normalizeLargeSelection(largeSelection) {
+    const maxCells = parseInt(largeSelection && largeSelection.maxCells, 10);
+    return {
+      enabled: !!(largeSelection && largeSelection.enabled),
+      maxCells: isNaN(maxCells) || maxCells < 1 ? LARGE_SELECTION_DEFAULT_MAX_CELLS : maxCells,
+      action: largeSelection && largeSelection.action === 'justify' ? 'justify' : 'block'
+    };
+  }
+
+  /**
+   * Normalizes a policy's inbound paste inspection settings
+   * @param {Object} pasteInspection - Paste settings from the admin form
+   * @returns {Object} - Complete paste settings (classifiers null = every classifier)
+   */
+  function normalizePasteInspection(pasteInspection) {
+    return {
+      mode: pasteInspection && PASTE_MODES.indexOf(pasteInspection.mode) !== -1 ? pasteInspection.mode : 'off',
+      classifiers: pasteInspection && Array.isArray(pasteInspection.classifiers) ? pasteInspection.classifiers : null
+    };
+  }
+
+  /**
+   * Normalizes a policy's per-action notice messages for each language
+   * Policies saved before notices were localized hold one action → message
+   * map; it becomes the 'default' (any language) text
+   * @param {Object} messages - Language → action name → message from the admin form
+   * @returns {Object} - Only the languages and actions with a message (the rest use the defaults)
+   */
+  function normalizeNoticeMessages(messages) {
+    const byLocale = messages && NOTICE_MESSAGE_ACTIONS.some(action => typeof messages[action] === 'string')
+      ? { default: messages }
+      : messages;
+    const normalized = {};
+    NOTICE_MESSAGE_LOCALES.forEach(locale => {
+      const localeMessages = byLocale && byLocale[locale];
+      NOTICE_MESSAGE_ACTIONS.forEach(action => {
+        const message = localeMessages && typeof localeMessages[action] === 'string' ? localeMessages[action].trim() : '';
+        if (message) {
+          normalized[locale] = normalized[locale] || {};
+          normalized[locale][action] = message.slice(0, NOTICE_TEXT_MAX_LENGTH);
+        }
+      });
+    });
+    return normalized;
+  }
+
+  /**
+   * Normalizes the notice branding shown on every protected page
+   * @param {Object} settings - Branding from the admin console
+   * @returns {Object} - { title, accentColor, supportText, requestAccess }
+   */
+  function normalizeNotificationSettings(settings) {
+    function text(value) {
+      return typeof value === 'string' ? value.trim().slice(0, NOTICE_TEXT_MAX_LENGTH) : '';
+    }
+    const accentColor = settings && typeof settings.accentColor === 'string' ? settings.accentColor.trim() : '';
+    return {
+      title: text(settings && settings.title),
+      // Hex only - the color is written into the notice's styles
+      accentColor: /^#[0-9a-f]{6}$/i.test(accentColor) ? accentColor : '',
+      supportText: text(settings && settings.supportText),
+      requestAccess: !settings || settings.requestAccess !== false
+    };
+  }
+
+  /**
+   * Builds a rejection the admin console and popup can show in their language
+   * @param {string} key - Message name from _locales, e.g. 'error_policyNotFound'
+   * @param {Array} [args] - Values for the message's $1, $2 placeholders
+   * @returns {Object} - { error, errorArgs }
+   */
+  function errorResult(key, args) {
+    return { error: key, errorArgs: (args || []).map(String) };
+  }
+
+  /**
+   * Writes a key combination the way content.js matches it: Ctrl+Cmd+Alt+Shift+Key
+   * Modifiers and key names are case-insensitive; Option and Meta are accepted
+   * for Alt and Cmd. A letter, digit or symbol needs Ctrl, Cmd or Alt, and an
+   * editing key any modifier, so the table can never block normal typing
+   * @param {string} keys - Combination from the admin console, e.g. 'shift+ins'
+   * @returns {string|null} - e.g. 'Shift+Insert', or null if it is not a valid combination
+   */
+  function normalizeShortcutKeys(keys) {
+    const parts = typeof keys === 'string' ? keys.split('+').map(part => part.trim()) : [];
+    // 'Ctrl++' ends with an empty part for the plus key itself
+    if (parts.length > 1 && parts[parts.length - 1] === '' && parts[parts.length - 2] === '') {
+      parts.splice(-2, 2, '+');
+    }
+    const rawKey = parts.pop();
+    if (!rawKey) {
+      return null;
+    }
+    
+    const modifiers = new Set();
+    for (const part of parts) {
+      const modifier = SHORTCUT_MODIFIERS[part.toLowerCase()];
+      if (!modifier) {
+        return null;
+      }
+      modifiers.add(modifier);
+    }
+    
+    let key;
+    if (rawKey.length === 1) {
+      key = rawKey.toUpperCase();
+      if (!modifiers.has('Ctrl') && !modifiers.has('Cmd') && !modifiers.has('Alt')) {
+        return null;
+      }
+    } else {
+      const lower = rawKey.toLowerCase();
+      const isFunctionKey = /^f([1-9]|1[0-9]|2[0-4])$/.test(lower);
+      key = SHORTCUT_KEY_ALIASES[lower] ||
+        SHORTCUT_NAMED_KEYS.find(name => name.toLowerCase() === lower) ||
+        (isFunctionKey ? rawKey.toUpperCase() : null);
+      // Editing keys (Delete, arrows...) only count with a modifier
+      if (!key || (!modifiers.size && !isFunctionKey && key !== 'ContextMenu')) {
+        return null;
+      }
+    }
+    
+    return ['Ctrl', 'Cmd', 'Alt', 'Shift'].filter(m => modifiers.has(m)).concat(key).join('+');
+  }
+
+  /**
+   * Validates one platform's shortcut table from the admin console
+   * An empty table would silently turn off shortcut blocking, so it is refused
+   * (Reset to Defaults restores the built-in table)
+   * @param {Array} entries - [{ keys, action }]
+   * @returns {Object} - { entries } with combinations normalized (later duplicates dropped), or { error, errorArgs }
+   */
+  function normalizeShortcutEntries(entries) {
+    if (!Array.isArray(entries)) {
+      return errorResult('error_shortcutTableInvalid');
+    }
+    if (!entries.length) {
+      return errorResult('error_shortcutTableEmpty');
+    }
+    const normalized = [];
+    const seen = new Set();
+    for (const entry of entries) {
+      const keys = normalizeShortcutKeys(entry && entry.keys);
+      if (!keys) {
+        return errorResult('error_shortcutKeysInvalid', [entry && entry.keys]);
+      }
+      if (SHORTCUT_ACTIONS.indexOf(entry.action) === -1) {
+        return errorResult('error_shortcutActionUnknown', [entry.action, keys, SHORTCUT_ACTIONS.join(', ')]);
+      }
+      if (!seen.has(keys)) {
+        seen.add(keys);
+        normalized.push({ keys: keys, action: entry.action });
+      }
+    }
+    return { entries: normalized };
+  }
+
+  /**
+   * Validates the document groups typed into the admin console
+   * @param {Array} groups - [{ name, resourceIds }]
+   * @returns {Object} - { groups } with names trimmed and IDs de-duplicated, or { error, errorArgs }
+   */
+  function normalizeDocumentGroups(groups) {
+    if (!Array.isArray(groups)) {
+      return errorResult('error_groupsInvalid');
+    }
+    const normalized = [];
+    for (const group of groups) {
+      const name = group && typeof group.name === 'string' ? group.name.trim() : '';
+      if (!name) {
+        return errorResult('error_groupNameMissing');
+      }
+      if (normalized.some(g => g.name.toLowerCase() === name.toLowerCase())) {
+        return errorResult('error_groupDuplicate', [name]);
+      }
+      const resourceIds = Array.from(new Set((Array.isArray(group.resourceIds) ? group.resourceIds : [])
+        .filter(id => typeof id === 'string' && id && id !== '*')));
+      if (!resourceIds.length) {
+        return errorResult('error_groupEmpty', [name]);
+      }
+      normalized.push({ name: name, resourceIds: resourceIds });
+    }
+    return { groups: normalized };
+  }
+
+  /**
+   * Resolves the scope a session is requested or approved for
+   * Group scopes keep a copy of the group's documents, so later edits to the
+   * group don't widen a grant that was already approved
+   * @param {Object|null} scope - { type, group } as sent by the popup, page or admin console
+   * @param {Object} target - The request: { url, resourceId, gid }
+   * @param {Array} groups - Stored document groups
+   * @returns {Object} - { scope }, or { error, errorArgs } when the scope doesn't fit the request
+   */
+  function normalizeSessionScope(scope, target, groups) {
+    const type = scope && SESSION_SCOPES.indexOf(scope.type) !== -1 ? scope.type : 'document';
+    if (type === 'all') {
+      return { scope: { type: 'all' } };
+    }
+
+    const resourceId = target.resourceId || getResourceId(target.url);
+    if (!resourceId) {
+      return errorResult('error_scopeNoDocument');
+    }
+    if (type === 'tab') {
+      return target.gid
+        ? { scope: { type: 'tab', resourceId: resourceId, gid: String(target.gid) } }
+        : errorResult('error_scopeNoTab');
+    }
+    if (type === 'group') {
+      const group = (groups || []).find(g => g.name === scope.group);
+      if (!group) {
+        return errorResult('error_groupNotFound', [scope.group]);
+      }
+      if (group.resourceIds.indexOf(resourceId) === -1) {
+        return errorResult('error_documentNotInGroup', [group.name]);
+      }
+      return { scope: { type: 'group', group: group.name, resourceIds: group.resourceIds.slice() } };
+    }
+    return { scope: { type: 'document', resourceId: resourceId } };
+  }
+
+  /**
+   * Validates the actions a session is requested for
+   * @param {Array|null} actions - Subset of SESSION_ACTIONS; null for all of them
+   * @returns {Object} - { actions } (null = every action), or { error, errorArgs }
+   */
+  function normalizeGrantActions(actions) {
+    if (actions === null || actions === undefined) {
+      return { actions: null };
+    }
+    if (!Array.isArray(actions)) {
+      return errorResult('error_grantActionsInvalid');
+    }
+    const normalized = SESSION_ACTIONS.filter(action => actions.indexOf(action) !== -1);
+    if (!normalized.length) {
+      return errorResult('error_grantNoActions');
+    }
+    return { actions: normalized.length === SESSION_ACTIONS.length ? null : normalized };
+  }
+
+  /**
+   * Parses the range a session is limited to: "Sheet1!A1:D20", "'Q1 Budget'!B:D",
+   * "A1:D20" (on any sheet tab) or a sheet tab name alone
+   * @param {string|null} text - Range as typed by the requester
+   * @returns {Object} - { range: { sheetName, a1 } } (range null = no limit), or { error, errorArgs }
+   */
+  function normalizeGrantRange(text) {
+    const input = typeof text === 'string' ? text.trim() : '';
+    if (!input) {
+      return { range: null };
+    }
+    
+    let sheetName = null;
+    let a1 = null;
+    const qualified = input.match(/^(?:'((?:[^']|'')+)'|([^!']+))!(.+)$/);
+    if (qualified) {
+      sheetName = qualified[1] !== undefined ? qualified[1].replace(/''/g, "'") : qualified[2].trim();
+      a1 = qualified[3].trim();
+      if (!A1_RANGE_PATTERN.test(a1)) {
+        return errorResult('error_rangeInvalid', [a1]);
+      }
+    } else if (A1_RANGE_PATTERN.test(input)) {
+      a1 = input;
+    } else {
+      sheetName = input.replace(/^'(.*)'$/, '$1').replace(/''/g, "'");
+    }
+    return { range: { sheetName: sheetName || null, a1: a1 ? a1.replace(/\$/g, '').toUpperCase() : null } };
+  }
+
+  /**
+   * Checks whether a session lifts export blocking and download cancelling
+   * Ranges can't be checked on an export, so range-limited sessions never do
+   * @param {Object} session - Approved session
+   */
+  function sessionGrantsExport(session) {
+    return !session.range && (!Array.isArray(session.actions) || session.actions.indexOf('export') !== -1);
+  }
+
+  /**
+   * Describes what a session grants for audit log details
+   * @param {Array|null} actions - Granted actions (null = all)
+   * @param {Object|null} range - { sheetName, a1 }
+   */
+  function describeGrant(actions, range) {
+    const what = actions ? actions.join(', ') : 'all actions';
+    if (!range) {
+      return what;
+    }
+    const where = range.sheetName && range.a1
+      ? `'${range.sheetName.replace(/'/g, "''")}'!${range.a1}`
+      : (range.sheetName ? `sheet "${range.sheetName}"` : range.a1);
+    return `${what} within ${where}`;
+  }
+
+  /**
+   * Gets a session's scope; sessions approved before scopes cover their document
+   * @param {Object} session - Approved session
+   */
+  function getSessionScope(session) {
+    return session.scope || { type: 'document', resourceId: session.resourceId || getResourceId(session.url) };
+  }
+
+  /**
+   * Checks whether a session lifts protection for a whole document (exports and
+   * downloads can't be narrowed to one sheet tab, so tab scopes never do)
+   * @param {Object} session - Approved session
+   * @param {string} resourceId - Document ID
+   */
+  function sessionCoversDocument(session, resourceId) {
+    const scope = getSessionScope(session);
+    if (scope.type === 'all') {
+      return true;
+    }
+    if (scope.type === 'group') {
+      return scope.resourceIds.indexOf(resourceId) !== -1;
+    }
+    return scope.type === 'document' && scope.resourceId === resourceId;
+  }
+
+  /**
+   * Describes a session scope for audit log details
+   * @param {Object} scope - Normalized scope
+   */
+  function describeSessionScope(scope) {
+    if (scope.type === 'all') {
+      return 'all documents';
+    }
+    if (scope.type === 'group') {
+      return `document group "${scope.group}" (${scope.resourceIds.length} documents)`;
+    }
+    if (scope.type === 'tab') {
+      return `sheet tab ${scope.gid} of ${scope.resourceId}`;
+    }
+    return `document ${scope.resourceId}`;
+  }
+
+  /**
+   * Registers page-hooks.js in the page's own JavaScript world (MAIN) on the
+   * origins content.js runs on, so the document's clipboard calls can be hooked
+   * Registrations survive restarts; they are updated here in case the
+   * extension's matches changed
+   */
+  function registerPageHooks() {
+    // about:blank frames (the Docs/Slides clipboard iframe) are matched by the
+    // origin that created them, and such patterns can't name a path. On pages
+    // content.js doesn't protect, nobody connects and every call goes through
+    const origins = chrome.runtime.getManifest().content_scripts[0].matches
+      .map(pattern => pattern.replace(/^([^:]+:\/\/[^/]+)\/.*$/, '$1/*'));
+    const script = {
+      id: PAGE_HOOKS_SCRIPT_ID,
+      js: ['page-hooks.js'],
+      matches: Array.from(new Set(origins)),
+      runAt: 'document_start',
+      allFrames: true,
+      matchOriginAsFallback: true,
+      world: 'MAIN'
+    };
+    
+    chrome.scripting.getRegisteredContentScripts({ ids: [PAGE_HOOKS_SCRIPT_ID] }, function(scripts) {
+      const done = function() {
+        if (chrome.runtime.lastError) {
+          console.warn('Error registering page hooks:', chrome.runtime.lastError.message);
+        }
+      };
+      if (scripts && scripts.length) {
+        chrome.scripting.updateContentScripts([script], done);
+      } else {
+        chrome.scripting.registerContentScripts([script], done);
+      }
+    });
+  }
+
+  /**
+   * Moves policies saved before Docs/Slides/Forms support from spreadsheetId to resourceId
+   */
+  function migratePolicies() {
+    chrome.storage.local.get([STORAGE_KEYS.PROTECTION_POLICIES], function(result) {
+      const policies = result[STORAGE_KEYS.PROTECTION_POLICIES] || [];
+      if (!policies.some(p => p.spreadsheetId && !p.resourceId)) {
+        return;
+      }
+      
+      const migrated = policies.map(p => {
+        if (!p.spreadsheetId || p.resourceId) {
+          return p;
+        }
+        const { spreadsheetId, ...rest } = p;
+        return { ...rest, resourceId: spreadsheetId, product: spreadsheetId === '*' ? '*' : 'sheets' };
+      });
+      chrome.storage.local.set({ [STORAGE_KEYS.PROTECTION_POLICIES]: migrated });
+    });
+  }
+
   /**
    * Generates a unique ID
    * @returns {string} - Unique ID
@@ -489,28 +1082,836 @@
     }
   }
 
+  // ============================================================================
+  // EXPORT / DOWNLOAD BLOCKING (declarativeNetRequest)
+  // ============================================================================
+
   /**
-   * Handles messages from popup/content scripts
+   * Extracts the Drive file ID from a Sheets/Docs/Slides/Forms URL
+   * @param {string} url - Document URL
+   * @returns {string|null} - File ID
    */
-  chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
+  function getResourceId(url) {
+    const match = url && url.match(RESOURCE_ID_PATTERN);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Checks whether a policy rule (or the default) blocks exports
+   * @param {Object|null} rule - Policy rule
+   * @param {boolean} defaultEnabled - Global default protection state
+   */
+  function policyBlocksExport(rule, defaultEnabled) {
+    if (!rule) {
+      return defaultEnabled;
+    }
+    return rule.enabled !== false && rule.enforcement !== 'monitor' && (!rule.actions || rule.actions.export !== false);
+  }
+
+  /**
+   * Works out which documents have exports blocked
+   * Exports are per document, so a document is blocked when its own rule
+   * (or the default) blocks exports, or when any of its tab rules does
+   * @returns {{defaultBlocked: boolean, blocked: Set<string>, allowed: Set<string>}}
+   */
+  function getExportProtection(policies, defaultEnabled) {
+    const wildcardRule = policies.find(p => p.resourceId === '*') || null;
+    const defaultBlocked = policyBlocksExport(wildcardRule, defaultEnabled);
+    const blocked = new Set();
+    const allowed = new Set();
+    
+    const resourceIds = new Set(policies
+      .map(p => p.resourceId)
+      .filter(id => id && id !== '*'));
+    
+    resourceIds.forEach(resourceId => {
+      const rules = policies.filter(p => p.resourceId === resourceId);
+      const resourceRule = rules.find(p => !p.gid) || null;
+      const isBlocked = (resourceRule
+        ? policyBlocksExport(resourceRule, defaultEnabled)
+        : defaultBlocked) ||
+        rules.some(p => p.gid && policyBlocksExport(p, defaultEnabled));
+      
+      if (isBlocked) {
+        blocked.add(resourceId);
+      } else {
+        allowed.add(resourceId);
+      }
+    });
+    
+    return { defaultBlocked, blocked, allowed };
+  }
+
+  /**
+   * Checks if a site is switched on under Protected sites
+   * Export blocking and download auditing only cover Google endpoints, so they
+   * follow the 'google' switch the same way the content script does
+   * @param {Object|undefined} enabledSites - Stored site switches
+   * @param {string} site - One of SITES
+   */
+  function isSiteEnabled(enabledSites, site) {
+    if (enabledSites && typeof enabledSites[site] === 'boolean') {
+      return enabledSites[site];
+    }
+    return DEFAULT_ENABLED_SITES[site] === true;
+  }
+
+  /**
+   * Builds a DNR regex matching export endpoints for one document (or all)
+   * @param {string|null} resourceId - File ID, or null for any
+   */
+  function buildExportRegex(resourceId) {
+    const idPattern = resourceId ? resourceId : '(?:e/)?[a-zA-Z0-9_-]+';
+    return '^https://docs\\.google\\.com/' + PRODUCT_PATHS + '/d/' + idPattern + '/' + EXPORT_ENDPOINTS + '([/?#]|$)';
+  }
+
+  /**
+   * Builds the dynamic rule set for the current policies and sessions
+   * Approved sessions lift the rules for the documents in their scope
+   * (see sessionCoversDocument); locked-down documents are blocked whatever
+   * their policy or sessions
+   */
+  function buildExportRules(policies, sessions, defaultEnabled, lockdowns) {
+    const { defaultBlocked, blocked, allowed } = getExportProtection(policies, defaultEnabled);
+    const now = Date.now();
+    const locked = new Set((lockdowns || []).map(l => l.resourceId));
+    const scopes = sessions.filter(s => s.expiresAt > now && sessionGrantsExport(s)).map(getSessionScope);
+    const liftsAll = scopes.some(scope => scope.type === 'all');
+    const lifted = new Set(scopes
+      .reduce((ids, scope) => ids.concat(
+        scope.type === 'group' ? scope.resourceIds : (scope.type === 'document' ? [scope.resourceId] : [])), [])
+      .filter(id => id && !locked.has(id)));
+    locked.forEach(resourceId => {
+      allowed.delete(resourceId);
+      blocked.add(resourceId);
+    });
+    const rules = [];
+    let nextRuleId = 1;
+    
+    function addRule(type, priority, resourceId) {
+      rules.push({
+        id: nextRuleId++,
+        priority: priority,
+        action: { type: type },
+        condition: {
+          regexFilter: buildExportRegex(resourceId),
+          resourceTypes: EXPORT_RESOURCE_TYPES
+        }
+      });
+    }
+    
+    if (liftsAll) {
+      // An all-documents session leaves only the lockdowns
+      locked.forEach(resourceId => {
+        addRule('block', 1, resourceId);
+      });
+    } else if (defaultBlocked) {
+      // Block everything, then punch holes for unprotected/approved documents
+      addRule('block', 1, null);
+      new Set([...allowed, ...lifted]).forEach(resourceId => {
+        addRule('allow', 2, resourceId);
+      });
+    } else {
+      blocked.forEach(resourceId => {
+        if (!lifted.has(resourceId)) {
+          addRule('block', 1, resourceId);
+        }
+      });
+    }
+    
+    return rules;
+  }
+
+  /**
+   * Replaces the dynamic export rules to match stored policies and sessions
+   */
+  function syncExportRules() {
+    exportRuleSyncTimer = null;
+    
     try {
-      if (request.action === 'getPendingRequestsCount') {
-        chrome.storage.local.get([STORAGE_KEYS.PENDING_REQUESTS], function(result) {
-          const requests = result[STORAGE_KEYS.PENDING_REQUESTS] || [];
-          const count = requests.filter(r => r.status === 'pending').length;
-          sendResponse({ count: count });
+      chrome.storage.local.get([
+        STORAGE_KEYS.PROTECTION_POLICIES,
+        STORAGE_KEYS.APPROVED_SESSIONS,
+        STORAGE_KEYS.PROTECTION_DEFAULT,
+        STORAGE_KEYS.LOCKDOWNS,
+        STORAGE_KEYS.ENABLED_SITES
+      ], function(result) {
+        const policies = result[STORAGE_KEYS.PROTECTION_POLICIES] || [];
+        const sessions = result[STORAGE_KEYS.APPROVED_SESSIONS] || [];
+        const defaultEnabled = result[STORAGE_KEYS.PROTECTION_DEFAULT] !== false;
+        const lockdowns = result[STORAGE_KEYS.LOCKDOWNS] || [];
+        // A switched-off site is left alone entirely, so no rules at all
+        const addRules = isSiteEnabled(result[STORAGE_KEYS.ENABLED_SITES], 'google')
+          ? buildExportRules(policies, sessions, defaultEnabled, lockdowns)
+          : [];
+        
+        chrome.declarativeNetRequest.getDynamicRules(function(existingRules) {
+          chrome.declarativeNetRequest.updateDynamicRules({
+            removeRuleIds: existingRules.map(rule => rule.id),
+            addRules: addRules
+          }, function() {
+            if (chrome.runtime.lastError) {
+              console.warn('Error updating export rules:', chrome.runtime.lastError.message);
+            }
+          });
         });
-        return true; // Keep channel open for async response
+        
+        scheduleExportRuleExpiry(sessions);
+      });
+    } catch (error) {
+      console.warn('Error syncing export rules:', error);
+    }
+  }
+
+  /**
+   * Debounces rule syncs (storage changes often arrive in bursts)
+   */
+  function queueExportRuleSync() {
+    if (exportRuleSyncTimer) {
+      clearTimeout(exportRuleSyncTimer);
+    }
+    exportRuleSyncTimer = setTimeout(syncExportRules, EXPORT_RULE_SYNC_DELAY);
+  }
+
+  /**
+   * Re-syncs when the next session expires so lifted rules come back on time
+   */
+  function scheduleExportRuleExpiry(sessions) {
+    if (exportRuleExpiryTimer) {
+      clearTimeout(exportRuleExpiryTimer);
+      exportRuleExpiryTimer = null;
+    }
+    
+    const now = Date.now();
+    const nextExpiry = sessions
+      .map(s => s.expiresAt)
+      .filter(expiresAt => expiresAt > now)
+      .sort((a, b) => a - b)[0];
+    
+    if (nextExpiry) {
+      exportRuleExpiryTimer = setTimeout(syncExportRules, nextExpiry - now + 1000);
+    }
+  }
+
+  /**
+   * Works out the format a blocked export URL tried to use
+   * @param {string} url - Request URL
+   * @returns {string} - Format (csv, xlsx, pdf, html, json...)
+   */
+  function getExportFormat(url) {
+    try {
+      const parsed = new URL(url);
+      const match = url.match(EXPORT_URL_PATTERN);
+      const endpoint = match ? match[2] : '';
+      
+      if (endpoint === 'export') {
+        // Slides puts the format in the path (/export/pptx)
+        const pathFormat = parsed.pathname.match(/\/export\/(\w+)/);
+        return parsed.searchParams.get('format') || parsed.searchParams.get('exportFormat') ||
+          (pathFormat ? pathFormat[1] : 'unknown');
+      }
+      if (endpoint === 'downloadresponses') {
+        return 'csv';
+      }
+      if (endpoint === 'gviz/tq') {
+        // tqx=out:csv / out:html, JSON otherwise
+        const tqxMatch = (parsed.searchParams.get('tqx') || '').match(/out:(\w+)/);
+        return tqxMatch ? tqxMatch[1] : 'json';
+      }
+      if (endpoint === 'pub') {
+        return parsed.searchParams.get('output') || 'html';
+      }
+      return 'html';
+    } catch (error) {
+      return 'unknown';
+    }
+  }
+
+  /**
+   * Gets the protection user ID shared with the content script and popup
+   * (sessions and content audit events are keyed on it)
+   * @returns {Promise<string|null>} - User ID
+   */
+  function getProtectionUserId() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([STORAGE_KEYS.PROTECTION_USER_ID], function(result) {
+        resolve(result[STORAGE_KEYS.PROTECTION_USER_ID] || null);
+      });
+    });
+  }
+
+  /**
+   * Logs requests blocked by the export rules
+   * DNR gives no match callback in packed extensions, so blocked requests are
+   * picked up from webRequest errors and matched against the export endpoints
+   */
+  function handleExportRequestError(details) {
+    try {
+      if (details.error !== 'net::ERR_BLOCKED_BY_CLIENT') {
+        return;
       }
       
-      if (request.action === 'addRequest') {
+      const match = details.url.match(EXPORT_URL_PATTERN);
+      if (!match) {
+        return;
+      }
+      
+      const format = getExportFormat(details.url);
+      getProtectionUserId().then(userId => {
+        logAuditEvent({
+          type: 'blocked',
+          action: 'export',
+          format: format,
+          endpoint: match[2],
+          resourceId: match[1],
+          userId: userId || 'unknown',
+          url: details.url,
+          details: `Blocked ${format.toUpperCase()} export via /${match[2]}`
+        });
+      });
+    } catch (error) {
+      console.warn('Error logging blocked export:', error);
+    }
+  }
+
+  // ============================================================================
+  // DOWNLOAD AUDITING (chrome.downloads)
+  // ============================================================================
+
+  /**
+   * Finds the policy rule that applies to a whole document
+   * @returns {Object|null} - Document rule, wildcard rule, or null
+   */
+  function resolveResourcePolicy(policies, resourceId) {
+    return policies.find(p => p.resourceId === resourceId && !p.gid) ||
+      policies.find(p => p.resourceId === '*') ||
+      null;
+  }
+
+  /**
+   * Gets the file name without the local download directory
+   */
+  function getBaseFilename(path) {
+    return path ? path.split(/[\\/]/).pop() : '';
+  }
+
+  /**
+   * Logs a document download
+   * @param {Object} item - chrome.downloads DownloadItem
+   * @param {string} status - completed, cancelled or interrupted
+   */
+  async function logDownloadEvent(item, status) {
+    const match = item.url.match(EXPORT_URL_PATTERN);
+    const format = getExportFormat(item.url);
+    const filename = getBaseFilename(item.filename);
+    const bytes = item.fileSize > 0 ? item.fileSize : (item.totalBytes > 0 ? item.totalBytes : item.bytesReceived);
+    const userId = await getProtectionUserId();
+    const email = await getEmail();
+    
+    let details = `${format.toUpperCase()} download ${status}`;
+    if (filename) {
+      details += `: ${filename}`;
+    }
+    if (status === 'completed') {
+      details += ` (${bytes} bytes)`;
+    }
+    
+    logAuditEvent({
+      type: 'download',
+      action: 'download',
+      status: status,
+      resourceId: match[1],
+      format: format,
+      filename: filename,
+      bytes: bytes || 0,
+      userId: userId || 'unknown',
+      email: email,
+      url: item.url,
+      details: details
+    });
+  }
+
+  /**
+   * Cancels document downloads that need a session when none is active
+   */
+  function handleDownloadCreated(item) {
+    try {
+      const match = item.url && item.url.match(EXPORT_URL_PATTERN);
+      if (!match) {
+        return;
+      }
+      
+      const resourceId = match[1];
+      chrome.storage.local.get([STORAGE_KEYS.PROTECTION_POLICIES, STORAGE_KEYS.APPROVED_SESSIONS, STORAGE_KEYS.ENABLED_SITES], function(result) {
+        const policies = result[STORAGE_KEYS.PROTECTION_POLICIES] || [];
+        const sessions = result[STORAGE_KEYS.APPROVED_SESSIONS] || [];
+        const policy = resolveResourcePolicy(policies, resourceId);
+        
+        if (!isSiteEnabled(result[STORAGE_KEYS.ENABLED_SITES], 'google') || !policy || policy.enabled === false || policy.enforcement === 'monitor' || !policy.cancelDownloadsWithoutSession) {
+          return;
+        }
+        
+        const now = Date.now();
+        const hasSession = sessions.some(s => 
+          s.expiresAt > now && sessionGrantsExport(s) && sessionCoversDocument(s, resourceId)
+        );
+        if (hasSession) {
+          return;
+        }
+        
+        chrome.downloads.cancel(item.id, function() {
+          if (chrome.runtime.lastError) {
+            console.warn('Error cancelling download:', chrome.runtime.lastError.message);
+            return;
+          }
+          logDownloadEvent(item, 'cancelled');
+        });
+      });
+    } catch (error) {
+      console.warn('Error handling download:', error);
+    }
+  }
+
+  /**
+   * Logs document downloads once they finish (or fail)
+   * Looks the item up again rather than keeping state, since the service
+   * worker may have been restarted while the download was running
+   */
+  function handleDownloadChanged(delta) {
+    try {
+      if (!delta.state || (delta.state.current !== 'complete' && delta.state.current !== 'interrupted')) {
+        return;
+      }
+      
+      chrome.downloads.search({ id: delta.id }, function(items) {
+        const item = items && items[0];
+        if (!item || !item.url || !EXPORT_URL_PATTERN.test(item.url)) {
+          return;
+        }
+        
+        // Cancellations by handleDownloadCreated are already logged
+        if (item.state === 'interrupted' && item.error === 'USER_CANCELED') {
+          return;
+        }
+        
+        chrome.storage.local.get([STORAGE_KEYS.ENABLED_SITES], function(result) {
+          if (isSiteEnabled(result[STORAGE_KEYS.ENABLED_SITES], 'google')) {
+            logDownloadEvent(item, item.state === 'complete' ? 'completed' : 'interrupted');
+          }
+        });
+      });
+    } catch (error) {
+      console.warn('Error handling download change:', error);
+    }
+  }
+
+  // ============================================================================
+  // ANOMALY DETECTION & LOCKDOWN
+  // ============================================================================
+
+  /**
+   * Normalizes the admin's anomaly detection settings
+   * @param {Object} settings - Settings from the admin console
+   * @returns {Object} - Complete settings (a threshold of 0 = not watched)
+   */
+  function normalizeAnomalySettings(settings) {
+    function count(value, fallback) {
+      const parsed = parseInt(value, 10);
+      return isNaN(parsed) || parsed < 0 ? fallback : parsed;
+    }
+    const windowSeconds = count(settings && settings.windowSeconds, DEFAULT_ANOMALY_SETTINGS.windowSeconds);
+    return {
+      enabled: !!(settings && settings.enabled),
+      windowSeconds: windowSeconds > 0 ? windowSeconds : DEFAULT_ANOMALY_SETTINGS.windowSeconds,
+      maxBlocked: count(settings && settings.maxBlocked, DEFAULT_ANOMALY_SETTINGS.maxBlocked),
+      maxAllowed: count(settings && settings.maxAllowed, DEFAULT_ANOMALY_SETTINGS.maxAllowed),
+      cancelSessions: !!(settings && settings.cancelSessions),
+      lockdown: !!(settings && settings.lockdown)
+    };
+  }
+
+  /**
+   * Loads the anomaly settings and lockdowns into memory
+   */
+  function loadAnomalyState() {
+    chrome.storage.local.get([STORAGE_KEYS.ANOMALY_SETTINGS, STORAGE_KEYS.LOCKDOWNS], function(result) {
+      anomalySettings = normalizeAnomalySettings(result[STORAGE_KEYS.ANOMALY_SETTINGS]);
+      lockdownsCache = result[STORAGE_KEYS.LOCKDOWNS] || [];
+    });
+  }
+
+  /**
+   * Checks if a user is locked out of a document
+   */
+  function isLockedDown(userId, resourceId) {
+    return !!resourceId && lockdownsCache.some(l => l.userId === userId && l.resourceId === resourceId);
+  }
+
+  /**
+   * Counts a content-script event in its user's sliding window and raises an
+   * anomaly when a threshold is crossed
+   * Windows are per user across documents, so spreading copies over several
+   * documents doesn't stay under the threshold; a lockdown then covers every
+   * document in the window. Windows live in memory, so a service worker
+   * restart starts them afresh
+   * @param {Object} eventData - Event logged (or only counted) by content.js
+   */
+  function recordAnomalyEvent(eventData) {
+    if (!anomalySettings.enabled || (eventData.type !== 'blocked' && eventData.type !== 'allowed')) {
+      return;
+    }
+    
+    const threshold = eventData.type === 'blocked' ? anomalySettings.maxBlocked : anomalySettings.maxAllowed;
+    const resourceId = eventData.resourceId || getResourceId(eventData.url);
+    if (!threshold || !eventData.userId || !resourceId) {
+      return;
+    }
+    
+    const now = Date.now();
+    const windowStart = now - anomalySettings.windowSeconds * 1000;
+    const windows = anomalyWindows.get(eventData.userId) || { blocked: [], allowed: [] };
+    const events = windows[eventData.type].filter(e => e.at > windowStart);
+    events.push({ at: now, resourceId: resourceId, url: eventData.url });
+    windows[eventData.type] = events;
+    anomalyWindows.set(eventData.userId, windows);
+    
+    if (events.length < threshold) {
+      return;
+    }
+    
+    // Start counting afresh so one burst raises one anomaly
+    windows[eventData.type] = [];
+    const documents = new Map(); // resourceId → last URL seen
+    events.forEach(e => documents.set(e.resourceId, e.url));
+    raiseAnomaly({
+      userId: eventData.userId,
+      resourceId: resourceId,
+      url: eventData.url,
+      documents: Array.from(documents, ([id, url]) => ({ resourceId: id, url: url })),
+      eventType: eventData.type,
+      count: events.length,
+      threshold: threshold,
+      enforcement: eventData.enforcement
+    });
+  }
+
+  /**
+   * Logs an anomaly and applies the configured response
+   * Anomalies from monitor-mode documents are only logged
+   * @param {Object} anomaly - { userId, resourceId, url, documents, eventType, count, threshold, enforcement }
+   */
+  function raiseAnomaly(anomaly) {
+    const monitorOnly = anomaly.enforcement === 'monitor';
+    const response = [];
+    if (anomalySettings.cancelSessions && !monitorOnly) response.push('sessions cancelled');
+    if (anomalySettings.lockdown && !monitorOnly) {
+      response.push(anomaly.documents.length === 1 ? 'document locked' : `${anomaly.documents.length} documents locked`);
+    }
+    
+    logAuditEvent({
+      type: 'anomaly',
+      action: 'anomaly',
+      userId: anomaly.userId,
+      resourceId: anomaly.resourceId,
+      url: anomaly.url,
+      resourceIds: anomaly.documents.map(d => d.resourceId),
+      eventType: anomaly.eventType,
+      count: anomaly.count,
+      threshold: anomaly.threshold,
+      windowSeconds: anomalySettings.windowSeconds,
+      enforcement: anomaly.enforcement,
+      details: `${anomaly.count} ${anomaly.eventType} events in ${anomalySettings.windowSeconds}s` +
+        (anomaly.documents.length > 1 ? ` across ${anomaly.documents.length} documents` : '') +
+        (response.length ? ` - ${response.join(', ')}` : '')
+    });
+    
+    if (monitorOnly) {
+      return;
+    }
+    if (anomalySettings.cancelSessions) {
+      cancelUserSessions(anomaly.userId, 'Cancelled after anomaly');
+    }
+    if (anomalySettings.lockdown) {
+      addLockdowns(anomaly);
+    }
+  }
+
+  /**
+   * Ends every active session of a user
+   */
+  function cancelUserSessions(userId, reason) {
+    chrome.storage.local.get([STORAGE_KEYS.APPROVED_SESSIONS], function(result) {
+      const sessions = result[STORAGE_KEYS.APPROVED_SESSIONS] || [];
+      const cancelled = sessions.filter(s => s.userId === userId);
+      if (cancelled.length === 0) {
+        return;
+      }
+      
+      chrome.storage.local.set({
+        [STORAGE_KEYS.APPROVED_SESSIONS]: sessions.filter(s => s.userId !== userId)
+      }, function() {
+        cancelled.forEach(session => {
+          logAuditEvent({
+            type: 'session_cancelled',
+            action: 'session',
+            requestId: session.requestId,
+            userId: session.userId,
+            url: session.url,
+            details: reason
+          });
+        });
+      });
+    });
+  }
+
+  /**
+   * Locks the documents of an anomaly for its user until an admin clears them
+   * @param {Object} anomaly - See raiseAnomaly
+   */
+  function addLockdowns(anomaly) {
+    chrome.storage.local.get([STORAGE_KEYS.LOCKDOWNS], function(result) {
+      const lockdowns = result[STORAGE_KEYS.LOCKDOWNS] || [];
+      const added = anomaly.documents
+        .filter(doc => !lockdowns.some(l => l.userId === anomaly.userId && l.resourceId === doc.resourceId))
+        .map(doc => ({
+          id: generateId(),
+          userId: anomaly.userId,
+          resourceId: doc.resourceId,
+          url: doc.url,
+          reason: `${anomaly.count} ${anomaly.eventType} events in ${anomalySettings.windowSeconds}s`,
+          createdAt: Date.now()
+        }));
+      if (!added.length) {
+        return;
+      }
+      
+      chrome.storage.local.set({ [STORAGE_KEYS.LOCKDOWNS]: lockdowns.concat(added) }, function() {
+        added.forEach(lockdown => {
+          logAuditEvent({
+            type: 'lockdown',
+            action: 'lockdown',
+            userId: lockdown.userId,
+            resourceId: lockdown.resourceId,
+            url: lockdown.url,
+            lockdownId: lockdown.id,
+            details: `Document locked: ${lockdown.reason}`
+          });
+        });
+      });
+    });
+  }
+
+  /**
+   * Hashes the stored state that decides protection (same as content.js)
+   * @param {Array} policies - Policy rules
+   * @param {boolean} defaultEnabled - Global default
+   * @param {Array} lockdowns - Active lockdowns
+   * @returns {string} - Hex hash
+   */
+  function hashProtectionState(policies, defaultEnabled, lockdowns) {
+    const text = JSON.stringify([policies || [], defaultEnabled !== false, lockdowns || []]);
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) - hash + text.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(16);
+  }
+
+  /**
+   * Loads the per-tab heartbeat records once per service worker start
+   * @returns {Promise<Object>} - Tab ID → { lastSeen, url, resourceId, userId, staleCount, suspected }
+   */
+  function loadTabHeartbeats() {
+    if (!tabHeartbeatsLoaded) {
+      tabHeartbeatsLoaded = new Promise(resolve => {
+        chrome.storage.session.get([TAB_HEARTBEATS_KEY], function(result) {
+          resolve(result[TAB_HEARTBEATS_KEY] || {});
+        });
+      });
+    }
+    return tabHeartbeatsLoaded;
+  }
+
+  /**
+   * Writes the heartbeat records back (they are edited in place in memory)
+   * @param {Object} heartbeats - Tab ID → heartbeat record
+   */
+  function saveTabHeartbeats(heartbeats) {
+    chrome.storage.session.set({ [TAB_HEARTBEATS_KEY]: heartbeats });
+  }
+
+  /**
+   * Logs a tamper_suspected event once per tab and reason, until it clears
+   * @param {Object} record - The tab's heartbeat record (modified in place)
+   * @param {number} tabId - Browser tab ID
+   * @param {string} reason - 'silent', 'stale', 'listeners' or 'style'
+   * @param {string} details - Human-readable description
+   */
+  function flagTamper(record, tabId, reason, details) {
+    if (record.suspected.indexOf(reason) !== -1) {
+      return;
+    }
+    record.suspected.push(reason);
+    logAuditEvent({
+      type: 'tamper_suspected',
+      action: reason,
+      userId: record.userId || 'unknown',
+      url: record.url,
+      resourceId: record.resourceId,
+      tabId: tabId,
+      details: details
+    });
+  }
+
+  /**
+   * Clears a tamper reason so a later recurrence is logged again
+   * @param {Object} record - The tab's heartbeat record (modified in place)
+   * @param {string} reason - Reason passed to flagTamper
+   */
+  function clearTamper(record, reason) {
+    record.suspected = record.suspected.filter(r => r !== reason);
+  }
+
+  /**
+   * Records a content script heartbeat and checks it against stored state
+   * @param {Object} heartbeat - { userId, url, resourceId, policyHash, state } from content.js
+   * @param {number} tabId - Sending tab
+   */
+  function handleTabHeartbeat(heartbeat, tabId) {
+    const state = heartbeat.state || {};
+    chrome.storage.local.get([
+      STORAGE_KEYS.PROTECTION_POLICIES,
+      STORAGE_KEYS.PROTECTION_DEFAULT,
+      STORAGE_KEYS.LOCKDOWNS
+    ], function(result) {
+      const expectedHash = hashProtectionState(
+        result[STORAGE_KEYS.PROTECTION_POLICIES],
+        result[STORAGE_KEYS.PROTECTION_DEFAULT],
+        result[STORAGE_KEYS.LOCKDOWNS]
+      );
+      
+      loadTabHeartbeats().then(heartbeats => {
+        const record = heartbeats[tabId] || { staleCount: 0, suspected: [] };
+        heartbeats[tabId] = record;
+        record.lastSeen = Date.now();
+        record.url = heartbeat.url;
+        record.resourceId = heartbeat.resourceId || getResourceId(heartbeat.url);
+        record.userId = heartbeat.userId || record.userId;
+        clearTamper(record, 'silent');
+        
+        record.staleCount = heartbeat.policyHash === expectedHash ? 0 : record.staleCount + 1;
+        if (record.staleCount >= TAB_HEARTBEAT_STALE_REPORTS) {
+          flagTamper(record, tabId, 'stale',
+            `Tab ${tabId} enforces a stale policy state (hash ${heartbeat.policyHash}, expected ${expectedHash})` +
+            ` - protection ${state.enabled ? 'on' : 'off'}, enforcing ${(state.enforced || []).join(', ') || 'nothing'}`);
+        } else if (record.staleCount === 0) {
+          clearTamper(record, 'stale');
+        }
+        
+        if (state.enabled && state.listeners === false) {
+          flagTamper(record, tabId, 'listeners', `Protection listeners are missing in tab ${tabId}`);
+        } else {
+          clearTamper(record, 'listeners');
+        }
+        
+        if (state.enabled && state.style === false) {
+          flagTamper(record, tabId, 'style', `Protection stylesheet is missing in tab ${tabId}`);
+        } else {
+          clearTamper(record, 'style');
+        }
+        
+        saveTabHeartbeats(heartbeats);
+      });
+    });
+  }
+
+  /**
+   * Cross-checks open protected tabs against their heartbeats
+   * A tab seen for the first time starts the clock; one silent for longer than
+   * TAB_HEARTBEAT_TIMEOUT (content script crashed, removed or never injected) is flagged.
+   * Discarded, frozen and loading tabs run no scripts and are skipped
+   */
+  function checkTabHeartbeats() {
+    chrome.tabs.query({ url: TAB_HEARTBEAT_URL_PATTERNS }, function(tabs) {
+      loadTabHeartbeats().then(heartbeats => {
+        const now = Date.now();
+        const openTabs = new Set();
+        
+        (tabs || []).forEach(tab => {
+          openTabs.add(String(tab.id));
+          if (tab.discarded || tab.frozen || tab.status !== 'complete') {
+            return;
+          }
+          
+          const record = heartbeats[tab.id];
+          if (!record) {
+            heartbeats[tab.id] = {
+              lastSeen: now,
+              url: tab.url,
+              resourceId: getResourceId(tab.url),
+              userId: null,
+              staleCount: 0,
+              suspected: []
+            };
+          } else if (now - record.lastSeen > TAB_HEARTBEAT_TIMEOUT) {
+            record.url = tab.url;
+            // Only Google URLs carry a document ID; keep the one the tab last reported
+            record.resourceId = getResourceId(tab.url) || record.resourceId;
+            flagTamper(record, tab.id, 'silent',
+              `No protection heartbeat from tab ${tab.id} for ${Math.round((now - record.lastSeen) / 60000)} min`);
+          }
+        });
+        
+        // Forget closed tabs (and other sites' tabs once they stop reporting)
+        Object.keys(heartbeats).forEach(tabId => {
+          if (!openTabs.has(tabId) && now - heartbeats[tabId].lastSeen > TAB_HEARTBEAT_TIMEOUT) {
+            delete heartbeats[tabId];
+          }
+        });
+        
+        saveTabHeartbeats(heartbeats);
+      });
+    });
+  }
+
+  /**
+   * Handles messages from popup/content scripts
+   */
+  chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
+    try {
+      if (request.action === 'getPendingRequestsCount') {
         chrome.storage.local.get([STORAGE_KEYS.PENDING_REQUESTS], function(result) {
           const requests = result[STORAGE_KEYS.PENDING_REQUESTS] || [];
+          const count = requests.filter(r => r.status === 'pending').length;
+          sendResponse({ count: count });
+        });
+        return true; // Keep channel open for async response
+      }
+      
+      if (request.action === 'addRequest') {
+        chrome.storage.local.get([STORAGE_KEYS.PENDING_REQUESTS, STORAGE_KEYS.DOCUMENT_GROUPS], function(result) {
+          const requests = result[STORAGE_KEYS.PENDING_REQUESTS] || [];
+          const target = { url: request.url, resourceId: request.resourceId || null, gid: request.gid || null };
+          const requested = normalizeSessionScope(request.scope, target, result[STORAGE_KEYS.DOCUMENT_GROUPS]);
+          const grantActions = normalizeGrantActions(request.actions);
+          const grantRange = normalizeGrantRange(request.range);
+          const rejected = [requested, grantActions, grantRange].find(result => result.error);
+          if (rejected) {
+            sendResponse({ success: false, error: rejected.error, errorArgs: rejected.errorArgs });
+            return;
+          }
+          
           const newRequest = {
             id: generateId(),
             timestamp: Date.now(),
             userId: request.userId,
             url: request.url,
+            resourceId: target.resourceId,
+            gid: target.gid,
+            scope: requested.scope,
+            // null = every action / no range limit
+            actions: grantActions.actions,
+            range: grantRange.range,
             duration: request.duration,
             durationType: request.durationType,
             status: 'pending',
@@ -530,7 +1931,10 @@
               userId: request.userId,
               url: request.url,
               requestId: newRequest.id,
-              details: `Requested ${request.duration} minutes access (${request.durationType})`
+              scope: newRequest.scope,
+              grantedActions: newRequest.actions,
+              range: newRequest.range,
+              details: `Requested ${request.duration} minutes access (${request.durationType}) to ${describeSessionScope(newRequest.scope)} for ${describeGrant(newRequest.actions, newRequest.range)}`
             });
             
             sendResponse({ success: true, requestId: newRequest.id });
@@ -540,17 +1944,25 @@
       }
       
       if (request.action === 'approveRequest') {
-        chrome.storage.local.get([STORAGE_KEYS.PENDING_REQUESTS, STORAGE_KEYS.APPROVED_SESSIONS], function(result) {
+        chrome.storage.local.get([STORAGE_KEYS.PENDING_REQUESTS, STORAGE_KEYS.APPROVED_SESSIONS, STORAGE_KEYS.DOCUMENT_GROUPS], function(result) {
           const requests = result[STORAGE_KEYS.PENDING_REQUESTS] || [];
           const sessions = result[STORAGE_KEYS.APPROVED_SESSIONS] || [];
           
           const requestIndex = requests.findIndex(r => r.id === request.requestId);
           if (requestIndex === -1) {
-            sendResponse({ success: false, error: 'Request not found' });
+            sendResponse({ success: false, ...errorResult('error_requestNotFound') });
             return;
           }
           
           const req = requests[requestIndex];
+          // The admin may approve a different scope than requested; requests
+          // made before scopes existed cover their document
+          const approved = normalizeSessionScope(request.scope || req.scope, req, result[STORAGE_KEYS.DOCUMENT_GROUPS]);
+          if (approved.error) {
+            sendResponse({ success: false, error: approved.error, errorArgs: approved.errorArgs });
+            return;
+          }
+          
           const now = Date.now();
           const expiresAt = now + (req.duration * 60 * 1000);
           
@@ -560,7 +1972,8 @@
             status: 'approved',
             approvedBy: request.adminId || 'admin',
             approvedAt: now,
-            expiresAt: expiresAt
+            expiresAt: expiresAt,
+            approvedScope: approved.scope
           };
           
           // Create session
@@ -568,6 +1981,10 @@
             requestId: req.id,
             userId: req.userId,
             url: req.url,
+            resourceId: req.resourceId || null,
+            scope: approved.scope,
+            actions: req.actions || null,
+            range: req.range || null,
             expiresAt: expiresAt,
             createdAt: now
           };
@@ -578,10 +1995,6 @@
             [STORAGE_KEYS.PENDING_REQUESTS]: requests,
             [STORAGE_KEYS.APPROVED_SESSIONS]: sessions
           }, function() {
-            // Invalidate session cache
-            sessionsCache = null;
-            sessionsCacheTime = 0;
-            
             updateBadge();
             
             // Log the approval
@@ -591,7 +2004,10 @@
               userId: req.userId,
               url: req.url,
               requestId: req.id,
-              details: `Approved by ${request.adminId || 'admin'} for ${req.duration} minutes`
+              scope: approved.scope,
+              grantedActions: session.actions,
+              range: session.range,
+              details: `Approved by ${request.adminId || 'admin'} for ${req.duration} minutes on ${describeSessionScope(approved.scope)}: ${describeGrant(session.actions, session.range)}`
             });
             
             sendResponse({ success: true });
@@ -606,7 +2022,7 @@
           
           const requestIndex = requests.findIndex(r => r.id === request.requestId);
           if (requestIndex === -1) {
-            sendResponse({ success: false, error: 'Request not found' });
+            sendResponse({ success: false, ...errorResult('error_requestNotFound') });
             return;
           }
           
@@ -637,43 +2053,335 @@
         return true;
       }
       
-      if (request.action === 'checkSession') {
-        const now = Date.now();
+      if (request.action === 'getUserEmail') {
+        getEmail().then(email => sendResponse({ email: email }));
+        return true;
+      }
+      
+      if (request.action === 'heartbeat') {
+        // Top frames only - heartbeats track tabs
+        if (sender.tab && sender.frameId === 0) {
+          handleTabHeartbeat(request, sender.tab.id);
+        }
+        sendResponse({ success: true });
+        return true;
+      }
+      
+      if (request.action === 'logEvent') {
+        logAuditEvent(request.eventData);
+        recordAnomalyEvent(request.eventData);
+        sendResponse({ success: true });
+        return true;
+      }
+      
+      // Allowed clipboard actions content.js doesn't log, for the anomaly threshold
+      if (request.action === 'countEvent') {
+        recordAnomalyEvent(request.eventData);
+        sendResponse({ success: true });
+        return true;
+      }
+      
+      if (request.action === 'savePolicy') {
+        const policy = request.policy || {};
+        if (!policy.resourceId) {
+          sendResponse({ success: false, ...errorResult('error_documentIdRequired') });
+          return true;
+        }
         
-        // Use cache if available and fresh
-        if (sessionsCache && (now - sessionsCacheTime) < SESSION_CACHE_TTL) {
-          const activeSession = sessionsCache.find(s => 
-            s.userId === request.userId && 
-            s.url === request.url && 
-            s.expiresAt > now
+        chrome.storage.local.get([STORAGE_KEYS.PROTECTION_POLICIES], function(result) {
+          const policies = result[STORAGE_KEYS.PROTECTION_POLICIES] || [];
+          const now = Date.now();
+          const isWildcard = policy.resourceId === '*';
+          // Tab rules only exist for spreadsheets and Airtable tables
+          const gid = isWildcard || (policy.product && TABBED_PRODUCTS.indexOf(policy.product) === -1) ? '' : (policy.gid || '');
+          
+          // Only one rule per document/tab target
+          const duplicate = policies.find(p => 
+            p.id !== policy.id &&
+            p.resourceId === policy.resourceId &&
+            (p.gid || '') === gid
           );
-          sendResponse({ hasSession: !!activeSession, session: activeSession || null });
+          if (duplicate) {
+            sendResponse({ success: false, ...errorResult('error_policyExists') });
+            return;
+          }
+          
+          const policyIndex = policy.id ? policies.findIndex(p => p.id === policy.id) : -1;
+          const existing = policyIndex >= 0 ? policies[policyIndex] : null;
+          const savedPolicy = {
+            id: existing ? existing.id : generateId(),
+            resourceId: policy.resourceId,
+            product: isWildcard ? '*' : (PRODUCTS.indexOf(policy.product) !== -1 ? policy.product : null),
+            gid: gid,
+            enabled: policy.enabled !== false,
+            actions: normalizePolicyActions(policy.actions),
+            cancelDownloadsWithoutSession: policy.cancelDownloadsWithoutSession === true,
+            breakGlass: policy.breakGlass === true,
+            copyMode: COPY_MODES.indexOf(policy.copyMode) !== -1 ? policy.copyMode : 'all',
+            // 'monitor' logs what would be blocked without blocking anything
+            enforcement: policy.enforcement === 'monitor' ? 'monitor' : 'block',
+            // null = every classifier, including ones added later
+            classifiers: Array.isArray(policy.classifiers) ? policy.classifiers : null,
+            pasteInspection: normalizePasteInspection(policy.pasteInspection),
+            watermark: normalizeWatermark(policy.watermark),
+            privacyBlur: normalizePrivacyBlur(policy.privacyBlur),
+            largeSelection: normalizeLargeSelection(policy.largeSelection),
+            messages: normalizeNoticeMessages(policy.messages),
+            description: policy.description || '',
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now,
+            updatedBy: request.adminId || 'admin'
+          };
+          
+          if (existing) {
+            policies[policyIndex] = savedPolicy;
+          } else {
+            policies.push(savedPolicy);
+          }
+          
+          chrome.storage.local.set({ [STORAGE_KEYS.PROTECTION_POLICIES]: policies }, function() {
+            const target = savedPolicy.resourceId + (savedPolicy.gid ? ' (gid ' + savedPolicy.gid + ')' : '');
+            const enforced = ENFORCEABLE_ACTIONS.filter(action => savedPolicy.actions[action]);
+            logAuditEvent({
+              type: 'policy_change',
+              action: 'policy',
+              policyId: savedPolicy.id,
+              enforcedActions: enforced,
+              details: `${existing ? 'Updated' : 'Added'} policy for ${target}: protection ${savedPolicy.enabled ? 'enabled' : 'disabled'} (enforced: ${enforced.join(', ') || 'none'}) by ${savedPolicy.updatedBy}`
+            });
+            
+            sendResponse({ success: true, policy: savedPolicy });
+          });
+        });
+        return true;
+      }
+      
+      if (request.action === 'saveEnabledSites') {
+        const enabledSites = {};
+        SITES.forEach(site => {
+          enabledSites[site] = !!(request.enabledSites && request.enabledSites[site]);
+        });
+        
+        chrome.storage.local.set({ [STORAGE_KEYS.ENABLED_SITES]: enabledSites }, function() {
+          const enabled = SITES.filter(site => enabledSites[site]);
+          logAuditEvent({
+            type: 'policy_change',
+            action: 'sites',
+            enabledSites: enabled,
+            details: `Protected sites set to ${enabled.join(', ') || 'none'} by ${request.adminId || 'admin'}`
+          });
+          sendResponse({ success: true, enabledSites: enabledSites });
+        });
+        return true;
+      }
+      
+      if (request.action === 'saveAnomalySettings') {
+        const settings = normalizeAnomalySettings(request.settings);
+        chrome.storage.local.set({ [STORAGE_KEYS.ANOMALY_SETTINGS]: settings }, function() {
+          logAuditEvent({
+            type: 'policy_change',
+            action: 'anomaly',
+            details: settings.enabled
+              ? `Anomaly detection set to ${settings.maxBlocked || '-'} blocked / ${settings.maxAllowed || '-'} allowed per ${settings.windowSeconds}s by ${request.adminId || 'admin'}`
+              : `Anomaly detection turned off by ${request.adminId || 'admin'}`
+          });
+          sendResponse({ success: true, settings: settings });
+        });
+        return true;
+      }
+      
+      if (request.action === 'saveNotificationSettings') {
+        const settings = normalizeNotificationSettings(request.settings);
+        chrome.storage.local.set({ [STORAGE_KEYS.NOTIFICATION_SETTINGS]: settings }, function() {
+          logAuditEvent({
+            type: 'policy_change',
+            action: 'notifications',
+            details: `Block notices updated by ${request.adminId || 'admin'}` +
+              (settings.requestAccess ? '' : ' (Request access turned off)')
+          });
+          sendResponse({ success: true, settings: settings });
+        });
+        return true;
+      }
+      
+      if (request.action === 'getShortcuts') {
+        chrome.storage.local.get([STORAGE_KEYS.SHORTCUT_SETTINGS], function(result) {
+          sendResponse({
+            success: true,
+            settings: result[STORAGE_KEYS.SHORTCUT_SETTINGS] || {},
+            defaults: DEFAULT_SHORTCUTS
+          });
+        });
+        return true;
+      }
+      
+      if (request.action === 'saveShortcuts') {
+        if (SHORTCUT_PLATFORMS.indexOf(request.platform) === -1) {
+          sendResponse({ success: false, ...errorResult('error_platformUnknown') });
+          return true;
+        }
+        // No entries resets the platform to the built-in defaults
+        const table = request.entries ? normalizeShortcutEntries(request.entries) : { entries: null };
+        if (table.error) {
+          sendResponse({ success: false, error: table.error, errorArgs: table.errorArgs });
           return true;
         }
         
-        // Fetch from storage and cache
-        chrome.storage.local.get([STORAGE_KEYS.APPROVED_SESSIONS], function(result) {
-          const sessions = result[STORAGE_KEYS.APPROVED_SESSIONS] || [];
-          const now = Date.now();
+        chrome.storage.local.get([STORAGE_KEYS.SHORTCUT_SETTINGS], function(result) {
+          const settings = result[STORAGE_KEYS.SHORTCUT_SETTINGS] || {};
+          if (table.entries) {
+            settings[request.platform] = table.entries;
+          } else {
+            delete settings[request.platform];
+          }
+          chrome.storage.local.set({ [STORAGE_KEYS.SHORTCUT_SETTINGS]: settings }, function() {
+            logAuditEvent({
+              type: 'policy_change',
+              action: 'shortcuts',
+              details: table.entries
+                ? `Keyboard shortcuts for ${request.platform} set to ${table.entries.map(e => e.keys + ' (' + e.action + ')').join(', ')} by ${request.adminId || 'admin'}`
+                : `Keyboard shortcuts for ${request.platform} reset to defaults by ${request.adminId || 'admin'}`
+            });
+            sendResponse({ success: true, settings: settings });
+          });
+        });
+        return true;
+      }
+      
+      if (request.action === 'saveDocumentGroups') {
+        const normalized = normalizeDocumentGroups(request.groups);
+        if (normalized.error) {
+          sendResponse({ success: false, error: normalized.error, errorArgs: normalized.errorArgs });
+          return true;
+        }
+        
+        chrome.storage.local.set({ [STORAGE_KEYS.DOCUMENT_GROUPS]: normalized.groups }, function() {
+          logAuditEvent({
+            type: 'policy_change',
+            action: 'documentGroups',
+            details: `Document groups set to ${normalized.groups.map(g => g.name + ' (' + g.resourceIds.length + ')').join(', ') || 'none'} by ${request.adminId || 'admin'}`
+          });
+          sendResponse({ success: true, groups: normalized.groups });
+        });
+        return true;
+      }
+      
+      if (request.action === 'clearLockdown') {
+        chrome.storage.local.get([STORAGE_KEYS.LOCKDOWNS], function(result) {
+          const lockdowns = result[STORAGE_KEYS.LOCKDOWNS] || [];
+          const lockdown = lockdowns.find(l => l.id === request.lockdownId);
+          if (!lockdown) {
+            sendResponse({ success: false, ...errorResult('error_lockdownNotFound') });
+            return;
+          }
           
-          // Filter expired sessions and cache
-          const activeSessions = sessions.filter(s => s.expiresAt > now);
-          sessionsCache = activeSessions;
-          sessionsCacheTime = now;
+          chrome.storage.local.set({
+            [STORAGE_KEYS.LOCKDOWNS]: lockdowns.filter(l => l.id !== request.lockdownId)
+          }, function() {
+            logAuditEvent({
+              type: 'lockdown_cleared',
+              action: 'lockdown',
+              userId: lockdown.userId,
+              resourceId: lockdown.resourceId,
+              url: lockdown.url,
+              lockdownId: lockdown.id,
+              details: `Lockdown cleared by ${request.adminId || 'admin'}`
+            });
+            sendResponse({ success: true });
+          });
+        });
+        return true;
+      }
+      
+      if (request.action === 'deletePolicy') {
+        chrome.storage.local.get([STORAGE_KEYS.PROTECTION_POLICIES], function(result) {
+          const policies = result[STORAGE_KEYS.PROTECTION_POLICIES] || [];
+          const policy = policies.find(p => p.id === request.policyId);
+          if (!policy) {
+            sendResponse({ success: false, ...errorResult('error_policyNotFound') });
+            return;
+          }
           
-          const activeSession = activeSessions.find(s => 
-            s.userId === request.userId && 
-            s.url === request.url
-          );
+          const remaining = policies.filter(p => p.id !== request.policyId);
+          chrome.storage.local.set({ [STORAGE_KEYS.PROTECTION_POLICIES]: remaining }, function() {
+            logAuditEvent({
+              type: 'policy_change',
+              action: 'policy',
+              policyId: policy.id,
+              details: `Removed policy for ${policy.resourceId}${policy.gid ? ' (gid ' + policy.gid + ')' : ''} by ${request.adminId || 'admin'}`
+            });
+            
+            sendResponse({ success: true });
+          });
+        });
+        return true;
+      }
+      
+      if (request.action === 'saveClassifier') {
+        const classifier = request.classifier || {};
+        if (!classifier.name || (classifier.type === 'keywords'
+          ? !(classifier.keywords && classifier.keywords.length)
+          : !classifier.pattern)) {
+          sendResponse({ success: false, ...errorResult('error_classifierIncomplete') });
+          return true;
+        }
+        
+        chrome.storage.local.get([STORAGE_KEYS.CUSTOM_CLASSIFIERS], function(result) {
+          const classifiers = result[STORAGE_KEYS.CUSTOM_CLASSIFIERS] || [];
+          const classifierIndex = classifier.id ? classifiers.findIndex(c => c.id === classifier.id) : -1;
+          const existing = classifierIndex >= 0 ? classifiers[classifierIndex] : null;
+          const savedClassifier = {
+            id: existing ? existing.id : 'custom_' + generateId(),
+            name: classifier.name,
+            type: classifier.type === 'keywords' ? 'keywords' : 'regex',
+            pattern: classifier.type === 'keywords' ? '' : classifier.pattern,
+            flags: classifier.flags || '',
+            keywords: classifier.type === 'keywords' ? classifier.keywords : [],
+            caseSensitive: classifier.caseSensitive === true,
+            updatedAt: Date.now()
+          };
+          
+          if (existing) {
+            classifiers[classifierIndex] = savedClassifier;
+          } else {
+            classifiers.push(savedClassifier);
+          }
           
-          sendResponse({ hasSession: !!activeSession, session: activeSession || null });
+          chrome.storage.local.set({ [STORAGE_KEYS.CUSTOM_CLASSIFIERS]: classifiers }, function() {
+            logAuditEvent({
+              type: 'policy_change',
+              action: 'classifier',
+              classifierId: savedClassifier.id,
+              details: `${existing ? 'Updated' : 'Added'} ${savedClassifier.type} classifier "${savedClassifier.name}" by ${request.adminId || 'admin'}`
+            });
+            
+            sendResponse({ success: true, classifier: savedClassifier });
+          });
         });
         return true;
       }
       
-      if (request.action === 'logEvent') {
-        logAuditEvent(request.eventData);
-        sendResponse({ success: true });
+      if (request.action === 'deleteClassifier') {
+        chrome.storage.local.get([STORAGE_KEYS.CUSTOM_CLASSIFIERS], function(result) {
+          const classifiers = result[STORAGE_KEYS.CUSTOM_CLASSIFIERS] || [];
+          const classifier = classifiers.find(c => c.id === request.classifierId);
+          if (!classifier) {
+            sendResponse({ success: false, ...errorResult('error_classifierNotFound') });
+            return;
+          }
+          
+          const remaining = classifiers.filter(c => c.id !== request.classifierId);
+          chrome.storage.local.set({ [STORAGE_KEYS.CUSTOM_CLASSIFIERS]: remaining }, function() {
+            logAuditEvent({
+              type: 'policy_change',
+              action: 'classifier',
+              classifierId: classifier.id,
+              details: `Removed classifier "${classifier.name}" by ${request.adminId || 'admin'}`
+            });
+            
+            sendResponse({ success: true });
+          });
+        });
         return true;
       }
       
@@ -686,7 +2394,7 @@
       }
     } catch (error) {
       console.error('Error handling message:', error);
-      sendResponse({ success: false, error: error.message });
+      sendResponse({ success: false, ...errorResult('error_unexpected', [error.message]) });
     }
   });
 
@@ -702,9 +2410,50 @@
   // Check for removed devices (every 1 minute)
   setInterval(checkForRemovedDevices, REMOVAL_CHECK_INTERVAL);
   
+  // Cross-check protected tabs against their protection heartbeats (every minute)
+  // (the alarm outlives the worker; re-creating it on every start would keep postponing it)
+  chrome.alarms.get(TAB_HEARTBEAT_ALARM, function(alarm) {
+    if (!alarm) {
+      chrome.alarms.create(TAB_HEARTBEAT_ALARM, { periodInMinutes: TAB_HEARTBEAT_CHECK_MINUTES });
+    }
+  });
+  chrome.alarms.onAlarm.addListener(function(alarm) {
+    if (alarm.name === TAB_HEARTBEAT_ALARM) {
+      checkTabHeartbeats();
+    }
+  });
+  chrome.tabs.onRemoved.addListener(function(tabId) {
+    loadTabHeartbeats().then(heartbeats => {
+      if (heartbeats[tabId]) {
+        delete heartbeats[tabId];
+        saveTabHeartbeats(heartbeats);
+      }
+    });
+  });
+  
   // Update removed devices badge on startup
   updateRemovedDevicesBadge();
   
+  // Bring stored policies up to date before anything reads them
+  migratePolicies();
+  
+  // Clipboard hooks in the page's own world
+  registerPageHooks();
+  
+  // Anomaly thresholds and active lockdowns
+  loadAnomalyState();
+  
+  // Apply export blocking rules on startup and log what they block
+  syncExportRules();
+  chrome.webRequest.onErrorOccurred.addListener(
+    handleExportRequestError,
+    { urls: PROTECTED_URL_PATTERNS }
+  );
+  
+  // Audit (and optionally cancel) document downloads
+  chrome.downloads.onCreated.addListener(handleDownloadCreated);
+  chrome.downloads.onChanged.addListener(handleDownloadChanged);
+  
   // Clean up expired sessions every 5 minutes (less frequent)
   setInterval(cleanupExpiredSessions, 300000);
   
@@ -721,10 +2470,18 @@
       if (changes[STORAGE_KEYS.PENDING_REQUESTS]) {
         updateBadge();
       }
-      if (changes[STORAGE_KEYS.APPROVED_SESSIONS]) {
-        // Invalidate session cache
-        sessionsCache = null;
-        sessionsCacheTime = 0;
+      if (changes[STORAGE_KEYS.APPROVED_SESSIONS] ||
+          changes[STORAGE_KEYS.PROTECTION_POLICIES] ||
+          changes[STORAGE_KEYS.PROTECTION_DEFAULT] ||
+          changes[STORAGE_KEYS.LOCKDOWNS] ||
+          changes[STORAGE_KEYS.ENABLED_SITES]) {
+        queueExportRuleSync();
+      }
+      if (changes[STORAGE_KEYS.ANOMALY_SETTINGS]) {
+        anomalySettings = normalizeAnomalySettings(changes[STORAGE_KEYS.ANOMALY_SETTINGS].newValue);
+      }
+      if (changes[STORAGE_KEYS.LOCKDOWNS]) {
+        lockdownsCache = changes[STORAGE_KEYS.LOCKDOWNS].newValue || [];
       }
       if (changes[STORAGE_KEYS.TRACKED_DEVICES]) {
         updateRemovedDevicesBadge();
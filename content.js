@@ -1,5 +1,6 @@
 /**
- * Google Sheets Data Protection Content Script
+ * Spreadsheet & Document Data Protection Content Script
+ * (Google Sheets, Docs, Slides, Forms responses, Excel Online and Airtable - see SITE ADAPTERS)
  * 
  * SECURITY NOTE:
  * ==============
@@ -33,21 +34,446 @@
 (function() {
   'use strict';
 
+  // ============================================================================
+  // SITE ADAPTERS
+  // ============================================================================
+
+  /**
+   * Checks if an element is a native editing surface (inputs, cell editors, dialogs)
+   */
+  function isNativeEditable(element) {
+    return !!element && (
+      element.tagName === 'INPUT' ||
+      element.tagName === 'TEXTAREA' ||
+      element.isContentEditable
+    );
+  }
+
+  /**
+   * Checks if this frame is the Docs/Slides text event target
+   * The canvas-rendered editor receives keyboard input and clipboard events
+   * through a hidden contenteditable iframe, so "editable" there means the document itself
+   */
+  function isDocsTextEventFrame() {
+    try {
+      return !!(window.frameElement && window.frameElement.classList.contains('docs-texteventtarget-iframe'));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Editable-region detection for the Docs/Slides editors
+   */
+  function isDocsEditableElement(element) {
+    if (isDocsTextEventFrame()) {
+      return false;
+    }
+    return isNativeEditable(element);
+  }
+
+  /**
+   * Counts the cells in an A1 range ("B2:D10" = 27, "C4" = 1)
+   * Whole-column/row ranges ("A:C", "2:5") can't be counted without the sheet size
+   * @returns {number|null} - Cell count, or null if the range isn't a cell block
+   */
+  function countA1Cells(range) {
+    const match = range && range.replace(/\$/g, '').match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/i);
+    if (!match) {
+      return null;
+    }
+    
+    const columnNumber = letters => letters.toUpperCase().split('').reduce((total, char) => total * 26 + char.charCodeAt(0) - 64, 0);
+    const startColumn = columnNumber(match[1]);
+    const endColumn = match[3] ? columnNumber(match[3]) : startColumn;
+    const startRow = parseInt(match[2], 10);
+    const endRow = match[4] ? parseInt(match[4], 10) : startRow;
+    
+    return (Math.abs(endColumn - startColumn) + 1) * (Math.abs(endRow - startRow) + 1);
+  }
+
+  /**
+   * Reads the corners of an A1 range ("B2:D10", "C4", "A:C", "2:5")
+   * Whole columns run over every row and whole rows over every column
+   * @returns {Object|null} - { startColumn, endColumn, startRow, endRow }, or null for named ranges
+   */
+  function parseA1Bounds(range) {
+    const a1 = range ? range.replace(/\$/g, '').replace(/^.*!/, '').toUpperCase() : '';
+    const columnNumber = letters => letters.split('').reduce((total, char) => total * 26 + char.charCodeAt(0) - 64, 0);
+    let match = a1.match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/);
+    if (match) {
+      const columns = [columnNumber(match[1]), columnNumber(match[3] || match[1])];
+      const rows = [parseInt(match[2], 10), parseInt(match[4] || match[2], 10)];
+      return {
+        startColumn: Math.min(columns[0], columns[1]),
+        endColumn: Math.max(columns[0], columns[1]),
+        startRow: Math.min(rows[0], rows[1]),
+        endRow: Math.max(rows[0], rows[1])
+      };
+    }
+    match = a1.match(/^([A-Z]+):([A-Z]+)$/);
+    if (match) {
+      const columns = [columnNumber(match[1]), columnNumber(match[2])];
+      return { startColumn: Math.min(columns[0], columns[1]), endColumn: Math.max(columns[0], columns[1]), startRow: 1, endRow: Infinity };
+    }
+    match = a1.match(/^(\d+):(\d+)$/);
+    if (match) {
+      const rows = [parseInt(match[1], 10), parseInt(match[2], 10)];
+      return { startColumn: 1, endColumn: Infinity, startRow: Math.min(rows[0], rows[1]), endRow: Math.max(rows[0], rows[1]) };
+    }
+    return null;
+  }
+
+  /**
+   * Checks if one A1 range lies entirely inside another
+   * @param {string} outer - e.g. the range a session was granted for
+   * @param {string} inner - e.g. the grid's current selection
+   * @returns {boolean} - False when either can't be read (named ranges)
+   */
+  function isA1RangeWithin(outer, inner) {
+    const outerBounds = parseA1Bounds(outer);
+    const innerBounds = parseA1Bounds(inner);
+    return !!outerBounds && !!innerBounds &&
+      innerBounds.startColumn >= outerBounds.startColumn && innerBounds.endColumn <= outerBounds.endColumn &&
+      innerBounds.startRow >= outerBounds.startRow && innerBounds.endRow <= outerBounds.endRow;
+  }
+
+  /**
+   * Checks if an A1 range covers whole columns or rows ("A:C", "2:5")
+   */
+  function isUnboundedA1Range(range) {
+    return !!range && /^([A-Z]+:[A-Z]+|\d+:\d+)$/i.test(range.replace(/\$/g, ''));
+  }
+
+  /**
+   * Reads the text of the selected sheet/table tab
+   */
+  function getSelectedTabName(selector, root) {
+    const tab = (root || document).querySelector(selector);
+    return tab ? tab.textContent.trim() || null : null;
+  }
+
+  /**
+   * Builds a URL matcher for a Google product on docs.google.com
+   */
+  function matchesGoogleProduct(pathPrefix) {
+    return function(parsed) {
+      return parsed.hostname === 'docs.google.com' && parsed.pathname.indexOf(pathPrefix) === 0;
+    };
+  }
+
+  /**
+   * One adapter per supported product:
+   * - id: product key (policies record it as `product`)
+   * - site: key admins enable per site in the admin console (see SITES_KEY)
+   * - matches(url): whether the adapter handles a page (URL object); background.js expects
+   *   heartbeats from the same pages (TAB_HEARTBEAT_URL_PATTERNS)
+   * - parseUrl(url): { resourceId, gid } - resourceId is null on pages without protected data,
+   *   gid is the sheet tab for products that have tab-level policies
+   * - isEditableElement(element): regions where normal editing copy/cut/paste is allowed
+   * - getGridSelection() (optional): { range, sheetName, cellCount, unbounded } for the grid's
+   *   current selection, or null (unbounded = whole rows/columns, whose size isn't known)
+   * - blocksDomSelection: whether content is DOM text that selection blocking applies to
+   *   (canvas editors need the selection for the caret; custom grids manage their own)
+   */
+  const SITE_ADAPTERS = [
+    {
+      id: 'sheets',
+      site: 'google',
+      name: 'Google Sheets',
+      matches: matchesGoogleProduct('/spreadsheets/'),
+      pathPattern: /\/spreadsheets\/d\/([a-zA-Z0-9_-]+)/,
+      parseUrl: function(parsed) {
+        const idMatch = parsed.pathname.match(this.pathPattern);
+        // Sheets keeps the active tab in the fragment (#gid=) but also accepts ?gid=
+        const gidMatch = (parsed.hash + '&' + parsed.search).match(/[#&?]gid=(\d+)/);
+        return {
+          resourceId: idMatch ? idMatch[1] : null,
+          gid: gidMatch ? gidMatch[1] : null
+        };
+      },
+      isEditableElement: isNativeEditable,
+      // The Name Box (left of the formula bar) shows the active range in A1 notation
+      // and the active-cell border is drawn whenever the grid has a selection
+      getGridSelection: function() {
+        const pageDocument = getPageDocument();
+        const nameBox = pageDocument.getElementById('t-name-box');
+        const range = nameBox && nameBox.value ? nameBox.value.trim() : null;
+        if (!range || !pageDocument.querySelector('.active-cell-border')) {
+          return null;
+        }
+        return {
+          range: range,
+          sheetName: getSelectedTabName('.docs-sheet-active-tab .docs-sheet-tab-name', pageDocument),
+          // null for named ranges and whole rows/columns
+          cellCount: countA1Cells(range),
+          unbounded: isUnboundedA1Range(range)
+        };
+      },
+      blocksDomSelection: true
+    },
+    {
+      id: 'docs',
+      site: 'google',
+      name: 'Google Docs',
+      matches: matchesGoogleProduct('/document/'),
+      pathPattern: /\/document\/d\/([a-zA-Z0-9_-]+)/,
+      parseUrl: function(parsed) {
+        const idMatch = parsed.pathname.match(this.pathPattern);
+        return { resourceId: idMatch ? idMatch[1] : null, gid: null };
+      },
+      isEditableElement: isDocsEditableElement,
+      blocksDomSelection: false
+    },
+    {
+      id: 'slides',
+      site: 'google',
+      name: 'Google Slides',
+      matches: matchesGoogleProduct('/presentation/'),
+      pathPattern: /\/presentation\/d\/([a-zA-Z0-9_-]+)/,
+      parseUrl: function(parsed) {
+        const idMatch = parsed.pathname.match(this.pathPattern);
+        return { resourceId: idMatch ? idMatch[1] : null, gid: null };
+      },
+      isEditableElement: isDocsEditableElement,
+      blocksDomSelection: false
+    },
+    {
+      id: 'forms',
+      site: 'google',
+      name: 'Google Forms',
+      // Only response views hold collected data; the question editor and the
+      // respondent's form (/viewform) stay unprotected
+      matches: matchesGoogleProduct('/forms/'),
+      pathPattern: /\/forms\/d\/(?:e\/)?([a-zA-Z0-9_-]+)\/(edit|viewanalytics|viewresponse)/,
+      parseUrl: function(parsed) {
+        const match = parsed.pathname.match(this.pathPattern);
+        const isResponseView = match && (match[2] !== 'edit' || /^#responses/.test(parsed.hash));
+        return { resourceId: isResponseView ? match[1] : null, gid: null };
+      },
+      isEditableElement: isNativeEditable,
+      blocksDomSelection: true
+    },
+    {
+      id: 'excel',
+      site: 'excelOnline',
+      name: 'Excel Online',
+      // The workbook is rendered in a WOPI frame (*.officeapps.live.com) inside the
+      // SharePoint / OneDrive page; both report the same file ID
+      matches: function(parsed) {
+        const host = parsed.hostname;
+        return (/(^|\.)officeapps\.live\.com$/.test(host) && /^\/x\//.test(parsed.pathname)) ||
+          (/\.sharepoint\.com$/.test(host) && /\/_layouts\/15\/(Doc|WopiFrame)\.aspx$/i.test(parsed.pathname)) ||
+          (host === 'onedrive.live.com' && /^\/edit(\.aspx)?$/i.test(parsed.pathname));
+      },
+      parseUrl: function(parsed) {
+        let fileId = parsed.searchParams.get('sourcedoc') || parsed.searchParams.get('resid');
+        const wopiSrc = parsed.searchParams.get('WOPISrc') || parsed.searchParams.get('wopisrc');
+        if (!fileId && wopiSrc) {
+          const wopiMatch = wopiSrc.match(/\/files\/([^/?#]+)/);
+          fileId = wopiMatch ? decodeURIComponent(wopiMatch[1]) : null;
+        }
+        // SharePoint wraps GUIDs in braces in some URLs and not others
+        return {
+          resourceId: fileId ? fileId.replace(/[{}]/g, '').toLowerCase() : null,
+          gid: null
+        };
+      },
+      // Formula bar and in-cell editor are contenteditable
+      isEditableElement: isNativeEditable,
+      getGridSelection: function() {
+        const nameBox = document.querySelector('#FormulaBar-NameBox-input, input[aria-label="Name Box"], #NameBox input');
+        const range = nameBox && nameBox.value ? nameBox.value.trim() : null;
+        if (!range) {
+          return null;
+        }
+        return {
+          range: range,
+          sheetName: getSelectedTabName('[role="tablist"] [role="tab"][aria-selected="true"]'),
+          cellCount: countA1Cells(range),
+          unbounded: isUnboundedA1Range(range)
+        };
+      },
+      blocksDomSelection: false
+    },
+    {
+      id: 'airtable',
+      site: 'airtable',
+      name: 'Airtable',
+      matches: function(parsed) {
+        return parsed.hostname === 'airtable.com' && /^\/app[a-zA-Z0-9]+/.test(parsed.pathname);
+      },
+      // /app<base>/tbl<table>/viw<view> - the base is the resource, the table works like a sheet tab
+      parseUrl: function(parsed) {
+        const match = parsed.pathname.match(/^\/(app[a-zA-Z0-9]+)(?:\/(tbl[a-zA-Z0-9]+))?/);
+        return {
+          resourceId: match ? match[1] : null,
+          gid: match && match[2] ? match[2] : null
+        };
+      },
+      // Cell editors are regular inputs/textareas
+      isEditableElement: isNativeEditable,
+      getGridSelection: function() {
+        const cells = document.querySelectorAll('.dataRow .cell.selected, .dataRow .cell.cursor');
+        if (cells.length === 0) {
+          return null;
+        }
+        return {
+          range: null,
+          sheetName: getSelectedTabName('[role="tab"][aria-selected="true"]'),
+          cellCount: cells.length,
+          unbounded: false
+        };
+      },
+      blocksDomSelection: false
+    }
+  ];
+
+  /**
+   * Gets the URL of the page this frame belongs to
+   * about:blank frames (e.g. the Docs text event target) report their parent's URL
+   */
+  function getPageUrl() {
+    if (window.location.protocol === 'about:') {
+      try {
+        return window.parent.location.href;
+      } catch (error) {
+        // Cross-origin parent - fall through
+      }
+    }
+    return window.location.href;
+  }
+
+  /**
+   * Gets the document of the page this frame belongs to (see getPageUrl)
+   */
+  function getPageDocument() {
+    if (window.location.protocol === 'about:') {
+      try {
+        return window.parent.document;
+      } catch (error) {
+        // Cross-origin parent - fall through
+      }
+    }
+    return document;
+  }
+
+  /**
+   * Finds the adapter for a page URL
+   * @returns {Object|null} - Site adapter, or null if the page isn't supported
+   */
+  function getSiteAdapter(url) {
+    try {
+      const parsed = new URL(url);
+      return SITE_ADAPTERS.find(candidate => candidate.matches(parsed)) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // ============================================================================
+  // LOCALIZATION
+  // ============================================================================
+  
+  // Language for dates, numbers and lists; text comes from the matching _locales catalog
+  const UI_LOCALE = chrome.i18n.getUILanguage();
+  // Key of a policy's block messages for this language ('de-AT' → 'de')
+  const UI_LANGUAGE = UI_LOCALE.split('-')[0].toLowerCase();
+  const NUMBER_FORMAT = new Intl.NumberFormat(UI_LOCALE);
+  
+  /**
+   * Gets a message from the _locales catalog in the browser's language
+   * @param {string} key - Message name
+   * @param {string|number|Array} [substitutions] - Values for $1, $2, ...
+   * @returns {string} - The message, or the key if the catalog lacks it
+   */
+  function t(key, substitutions) {
+    try {
+      const values = substitutions === undefined ? undefined : [].concat(substitutions).map(String);
+      return chrome.i18n.getMessage(key, values) || key;
+    } catch (error) {
+      // Extension context invalidated (extension reloaded)
+      return key;
+    }
+  }
+  
+  /**
+   * Formats a cell count with the plural form of the UI language ("1 cell", "27 cells")
+   */
+  function formatCells(count) {
+    const key = new Intl.PluralRules(UI_LOCALE).select(count) === 'one' ? 'cellsOne' : 'cellsOther';
+    return t(key, NUMBER_FORMAT.format(count));
+  }
+  
+  /**
+   * Formats a number of minutes in the UI language ("15 minutes", "1 hour")
+   */
+  function formatDuration(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    const parts = [];
+    if (hours) {
+      parts.push(new Intl.NumberFormat(UI_LOCALE, { style: 'unit', unit: 'hour', unitDisplay: 'long' }).format(hours));
+    }
+    if (rest || !hours) {
+      parts.push(new Intl.NumberFormat(UI_LOCALE, { style: 'unit', unit: 'minute', unitDisplay: 'long' }).format(rest));
+    }
+    return new Intl.ListFormat(UI_LOCALE, { style: 'long', type: 'unit' }).format(parts);
+  }
+  
+  /**
+   * Quotes a message for a CSS content property
+   */
+  function cssString(text) {
+    return '"' + String(text).replace(/["\\]/g, '\\$&').replace(/\n/g, ' ') + '"';
+  }
+
   // ============================================================================
   // PROTECTION STATE MANAGEMENT
   // ============================================================================
   
   const STORAGE_KEY = 'sheetsProtectionEnabled';
-  const DEFAULT_STATE = true; // Protection enabled by default
+  const DEFAULT_STATE = true; // Protection enabled by default (no matching policy)
   const USER_ID_KEY = 'sheetsProtectionUserId';
+  const POLICIES_KEY = 'protectionPolicies';
+  const CLASSIFIERS_KEY = 'customClassifiers';
+  const WILDCARD = '*';
+  const SITES_KEY = 'enabledSites';
+  const LOCKDOWNS_KEY = 'lockdowns';
+  const NOTICE_SETTINGS_KEY = 'notificationSettings';
+  const SESSIONS_KEY = 'approvedSessions';
+  const SHORTCUTS_KEY = 'shortcutSettings';
+  
+  // Sites protected until an admin changes it in the admin console
+  const DEFAULT_ENABLED_SITES = { google: true, excelOnline: false, airtable: false };
+  
+  // Actions a policy can enforce independently (all enforced unless a policy opts out)
+  // 'export' is enforced by background.js with declarativeNetRequest rules
+  const ENFORCEABLE_ACTIONS = ['copy', 'cut', 'paste', 'selectAll', 'contextMenu', 'selection', 'print', 'export'];
+  
+  // Actions a range-limited session can grant: the ones that act on the grid selection
+  const RANGE_CHECKED_ACTIONS = ['copy', 'cut', 'paste', 'contextMenu'];
+  
+  // Set on <html> while an approved session lets a print through the print stylesheet
+  const PRINT_ALLOWED_ATTRIBUTE = 'data-sheets-protection-print-allowed';
   
   let protectionEnabled = DEFAULT_STATE;
+  let policies = [];
+  let activePolicy = null;
+  let customClassifiers = [];
+  let lockdowns = []; // set by background.js when an anomaly locks a document
+  let noticeSettings = {}; // admin branding for block notices
   let userId = null;
-  let currentUrl = window.location.href;
+  let currentUrl = getPageUrl();
+  const adapter = getSiteAdapter(currentUrl);
+  let currentResource = parseResourceUrl(currentUrl);
+  let siteEnabled = !!adapter && DEFAULT_ENABLED_SITES[adapter.site] === true;
   
-  // Session cache for performance
-  let sessionCache = { hasSession: false, expiresAt: 0, cacheTime: 0 };
-  const SESSION_CACHE_TTL = 10000; // 10 seconds
+  // Approved sessions, kept current from storage so every check is synchronous
+  let approvedSessions = [];
+  let sessionExpiryTimer = null;
+  // setTimeout delays above this overflow and fire at once
+  const MAX_TIMER_DELAY = 2147483647;
   
   // Log queue for batching
   let logQueue = [];
@@ -93,72 +519,125 @@
   }
 
   /**
-   * Checks if user has an active approved session (cached, synchronous check first)
+   * Checks if a session's scope (see SESSION_SCOPES in background.js) covers this page
+   * Scopes name documents by resource ID, not URL, so a grant keeps working across
+   * /edit and /view, query strings and sheet tabs, and a session requested from a
+   * host page (SharePoint, OneDrive) applies inside the frame that renders the document
+   * @param {Object} session - Approved session
    */
-  function hasActiveSessionSync() {
-    if (!userId) {
+  function sessionCoversPage(session) {
+    const scope = session.scope;
+    const resourceId = currentResource.resourceId;
+    if (!scope) {
+      // Approved before sessions had scopes
+      return session.url === currentUrl || (!!session.resourceId && session.resourceId === resourceId);
+    }
+    if (scope.type === 'all') {
+      return true;
+    }
+    if (!resourceId) {
       return false;
     }
-    
-    const now = Date.now();
-    
-    // Use cache if valid
-    if (sessionCache.cacheTime && (now - sessionCache.cacheTime) < SESSION_CACHE_TTL) {
-      if (sessionCache.expiresAt > now) {
-        return sessionCache.hasSession;
-      } else {
-        return false;
-      }
+    if (scope.type === 'group') {
+      return Array.isArray(scope.resourceIds) && scope.resourceIds.indexOf(resourceId) !== -1;
+    }
+    if (scope.type === 'tab') {
+      return scope.resourceId === resourceId && scope.gid === currentResource.gid;
+    }
+    return scope.resourceId === resourceId;
+  }
+
+  /**
+   * Checks if the grid's current selection lies inside a session's granted range
+   * Fails closed: a selection the site adapter can't read, a named range, or a
+   * table without A1 addresses (Airtable) never matches an A1 limit
+   * @param {Object} range - { sheetName, a1 } - either may be null
+   */
+  function isSelectionInGrantedRange(range) {
+    let gridSelection = null;
+    try {
+      gridSelection = adapter && adapter.getGridSelection ? adapter.getGridSelection() : null;
+    } catch (error) {
+      // The grid markup changed - nothing to compare
+    }
+    if (!gridSelection) {
+      return false;
+    }
+    if (range.sheetName && (!gridSelection.sheetName || gridSelection.sheetName.toLowerCase() !== range.sheetName.toLowerCase())) {
+      return false;
+    }
+    return !range.a1 || isA1RangeWithin(range.a1, gridSelection.range);
+  }
+
+  /**
+   * Checks if a session grants an action on this page
+   * Sessions without an action list grant everything; range-limited ones only
+   * grant the actions that act on the grid selection, and only inside the range
+   * @param {Object} session - Approved session covering this page
+   * @param {string} action - One of ENFORCEABLE_ACTIONS
+   */
+  function sessionGrantsAction(session, action) {
+    if (Array.isArray(session.actions) && session.actions.indexOf(action) === -1) {
+      return false;
+    }
+    return !session.range || (RANGE_CHECKED_ACTIONS.indexOf(action) !== -1 && isSelectionInGrantedRange(session.range));
+  }
+
+  /**
+   * Lists the user's active approved sessions for this page
+   * The session list is pushed through storage.onChanged, so this never waits:
+   * a grant applies to the next event and a revocation or expiry to the very next check
+   * @returns {Array} - The sessions (always empty on a locked-down document)
+   */
+  function getActiveSessions() {
+    if (!userId || isLockedDown()) {
+      return [];
     }
     
-    return null; // Cache expired, need async check
+    const now = Date.now();
+    return approvedSessions.filter(s => s.userId === userId && s.expiresAt > now && sessionCoversPage(s));
   }
 
   /**
-   * Checks if user has an active approved session (async, updates cache)
+   * Checks if an active approved session lets the user take an action right now
+   * Range-limited grants are checked against the grid's current selection
+   * @param {string} action - One of ENFORCEABLE_ACTIONS
+   * @returns {boolean}
    */
-  function hasActiveSession() {
-    return new Promise((resolve) => {
-      if (!userId) {
-        resolve(false);
-        return;
-      }
-      
-      const now = Date.now();
-      
-      // Use cache if valid
-      if (sessionCache.cacheTime && (now - sessionCache.cacheTime) < SESSION_CACHE_TTL) {
-        if (sessionCache.expiresAt > now) {
-          resolve(sessionCache.hasSession);
-        } else {
-          resolve(false);
-        }
-        return;
-      }
-      
-      try {
-        chrome.runtime.sendMessage({
-          action: 'checkSession',
-          userId: userId,
-          url: currentUrl
-        }, function(response) {
-          const hasSession = response && response.hasSession === true;
-          const session = response && response.session;
-          
-          // Update cache
-          sessionCache = {
-            hasSession: hasSession,
-            expiresAt: session ? session.expiresAt : 0,
-            cacheTime: now
-          };
-          
-          resolve(hasSession);
-        });
-      } catch (error) {
-        console.warn('Error checking session:', error);
-        resolve(false);
-      }
-    });
+  function hasActiveSession(action) {
+    return getActiveSessions().some(session => sessionGrantsAction(session, action));
+  }
+
+  /**
+   * Applies an updated session list (pushed via storage change)
+   * @param {Array} sessions - Approved sessions
+   */
+  function updateSessions(sessions) {
+    approvedSessions = Array.isArray(sessions) ? sessions : [];
+    refreshEntitlements();
+  }
+
+  /**
+   * Re-applies protection after sessions change and re-arms the expiry timer,
+   * so the print stylesheet, selection styles and page-context hooks lock again
+   * the moment the user's next session runs out (checks themselves compare
+   * expiresAt directly, so a late timer in a throttled tab never lets anything through)
+   */
+  function refreshEntitlements() {
+    if (sessionExpiryTimer) {
+      clearTimeout(sessionExpiryTimer);
+      sessionExpiryTimer = null;
+    }
+    
+    const now = Date.now();
+    const nextExpiry = approvedSessions
+      .filter(s => s.userId === userId && s.expiresAt > now)
+      .reduce((earliest, s) => Math.min(earliest, s.expiresAt), Infinity);
+    if (nextExpiry !== Infinity) {
+      sessionExpiryTimer = setTimeout(refreshEntitlements, Math.min(nextExpiry - now + 1, MAX_TIMER_DELAY));
+    }
+    
+    updateProtectionStyles();
   }
 
   /**
@@ -173,14 +652,16 @@
     
     getUserId().then(uid => {
       logsToSend.forEach(logData => {
+        const { countOnly, ...eventData } = logData;
         const fullLogData = {
-          ...logData,
+          ...eventData,
           userId: uid || 'unknown',
-          url: currentUrl
+          url: currentUrl,
+          resourceId: currentResource.resourceId
         };
         
         chrome.runtime.sendMessage({
-          action: 'logEvent',
+          action: countOnly ? 'countEvent' : 'logEvent',
           eventData: fullLogData
         }, function(response) {
           // Silently handle - logging should not break functionality
@@ -194,6 +675,12 @@
    */
   function logAuditEvent(eventData) {
     try {
+      // Read the selection now - it may have changed by the time the queue flushes
+      attachGridSelection(eventData);
+      // Lets the admin console compare monitor and block results
+      if (!eventData.enforcement && isProtectionEnabled()) {
+        eventData.enforcement = isMonitorMode() ? 'monitor' : 'block';
+      }
       logQueue.push(eventData);
       
       // Flush immediately if queue is full
@@ -213,24 +700,25 @@
   }
 
   /**
-   * Gets cell range from selection (if applicable)
+   * Adds the grid selection (cellRange, sheetName, cellCount) to blocked,
+   * redacted and break-glass events, so the audit log shows what the user took
+   * @param {Object} eventData - Event being logged (modified in place)
    */
-  function getCellRange() {
+  function attachGridSelection(eventData) {
+    if (eventData.type !== 'blocked' && eventData.type !== 'redacted' && eventData.type !== 'break_glass') {
+      return;
+    }
+    
     try {
-      // Try to get selected cell range from Google Sheets
-      const selection = window.getSelection();
-      if (selection && selection.rangeCount > 0) {
-        const range = selection.getRangeAt(0);
-        const text = range.toString();
-        // Try to extract cell references from the text
-        const cellMatch = text.match(/[A-Z]+\d+/);
-        if (cellMatch) {
-          return cellMatch[0];
-        }
+      const gridSelection = adapter && adapter.getGridSelection ? adapter.getGridSelection() : null;
+      if (!gridSelection) {
+        return;
       }
-      return null;
+      eventData.cellRange = gridSelection.range;
+      eventData.sheetName = gridSelection.sheetName;
+      eventData.cellCount = gridSelection.cellCount;
     } catch (error) {
-      return null;
+      // The grid markup changed - log the event without the selection
     }
   }
 
@@ -248,16 +736,113 @@
   }
 
   /**
-   * Loads protection state from storage
+   * Parses the protected resource (Drive file ID and sheet tab gid) from a page URL
+   * @param {string} url - Page URL
+   * @returns {{product: string|null, resourceId: string|null, gid: string|null}}
+   */
+  function parseResourceUrl(url) {
+    try {
+      const parsed = adapter ? adapter.parseUrl(new URL(url)) : { resourceId: null, gid: null };
+      return {
+        product: adapter ? adapter.id : null,
+        resourceId: parsed.resourceId,
+        gid: parsed.gid
+      };
+    } catch (error) {
+      return { product: adapter ? adapter.id : null, resourceId: null, gid: null };
+    }
+  }
+
+  /**
+   * Gets the resource a policy rule targets
+   * Rules saved before Docs/Slides/Forms support stored it as spreadsheetId
+   */
+  function getPolicyResourceId(rule) {
+    return rule.resourceId || rule.spreadsheetId || null;
+  }
+
+  /**
+   * Scores how specifically a policy rule matches a resource/tab
+   * 3 = resource + tab, 2 = resource, 1 = wildcard, 0 = no match
+   */
+  function getPolicyMatchScore(rule, resourceId, gid) {
+    const ruleResourceId = rule ? getPolicyResourceId(rule) : null;
+    if (!ruleResourceId) {
+      return 0;
+    }
+    
+    if (ruleResourceId === WILDCARD) {
+      return 1;
+    }
+    
+    if (ruleResourceId !== resourceId) {
+      return 0;
+    }
+    
+    if (rule.gid && rule.gid !== WILDCARD) {
+      return rule.gid === gid ? 3 : 0;
+    }
+    
+    return 2;
+  }
+
+  /**
+   * Finds the most specific policy rule for a URL
+   * @param {string} url - Page URL
+   * @returns {Object|null} - Matching policy rule, or null to use the default
+   */
+  function resolvePolicy(url) {
+    const { resourceId, gid } = parseResourceUrl(url);
+    let bestRule = null;
+    let bestScore = 0;
+    
+    policies.forEach(rule => {
+      const score = getPolicyMatchScore(rule, resourceId, gid);
+      if (score > bestScore) {
+        bestRule = rule;
+        bestScore = score;
+      }
+    });
+    
+    return bestRule;
+  }
+
+  /**
+   * Re-resolves the active policy when the URL changed (e.g. switching sheet tabs)
+   * Sheets updates the URL with history.replaceState, which fires no event,
+   * so this is checked lazily whenever the protection state is read
+   */
+  function refreshCurrentUrl() {
+    const href = getPageUrl();
+    if (href === currentUrl) {
+      return;
+    }
+    
+    currentUrl = href;
+    currentResource = parseResourceUrl(currentUrl);
+    activePolicy = resolvePolicy(currentUrl);
+    updateProtectionStyles();
+  }
+
+  /**
+   * Loads protection state and policies from storage
    */
   function loadProtectionState() {
     try {
       if (typeof chrome !== 'undefined' && chrome.storage) {
-        chrome.storage.local.get([STORAGE_KEY], function(result) {
+        chrome.storage.local.get([STORAGE_KEY, POLICIES_KEY, CLASSIFIERS_KEY, SITES_KEY, LOCKDOWNS_KEY, NOTICE_SETTINGS_KEY, SESSIONS_KEY], function(result) {
           protectionEnabled = result[STORAGE_KEY] !== undefined 
             ? result[STORAGE_KEY] 
             : DEFAULT_STATE;
+          siteEnabled = isSiteEnabled(result[SITES_KEY]);
+          policies = result[POLICIES_KEY] || [];
+          customClassifiers = compileCustomClassifiers(result[CLASSIFIERS_KEY]);
+          lockdowns = result[LOCKDOWNS_KEY] || [];
+          noticeSettings = result[NOTICE_SETTINGS_KEY] || {};
+          activePolicy = resolvePolicy(currentUrl);
+          updateSessions(result[SESSIONS_KEY]);
         });
+        loadShortcutTable();
       }
     } catch (error) {
       console.warn('Error loading protection state:', error);
@@ -266,34 +851,162 @@
   }
 
   /**
-   * Checks if protection is currently enabled
+   * Checks if the admin has enabled protection on this page's site
+   * @param {Object} enabledSites - Site key → enabled flag (missing keys use the defaults)
+   */
+  function isSiteEnabled(enabledSites) {
+    if (!adapter) {
+      return false;
+    }
+    if (enabledSites && typeof enabledSites[adapter.site] === 'boolean') {
+      return enabledSites[adapter.site];
+    }
+    return DEFAULT_ENABLED_SITES[adapter.site] === true;
+  }
+
+  /**
+   * Checks if protection is currently enabled for this document/tab
+   * A matching policy wins; otherwise the global default applies
+   * Disabled sites and pages without a protected resource (home screens,
+   * the Forms question editor) are never protected
    * @returns {boolean} - True if protection is enabled
    */
   function isProtectionEnabled() {
+    refreshCurrentUrl();
+    
+    if (!siteEnabled || !currentResource.resourceId) {
+      return false;
+    }
+    
+    if (isLockedDown()) {
+      return true;
+    }
+    
+    if (activePolicy) {
+      return activePolicy.enabled !== false;
+    }
+    
     return protectionEnabled;
   }
 
   /**
-   * Updates protection state (called from popup via message)
-   * @param {boolean} enabled - Whether protection should be enabled
+   * Checks if a single action is enforced for this spreadsheet/tab
+   * @param {string} action - One of ENFORCEABLE_ACTIONS
+   * @returns {boolean} - True if the action should be blocked
    */
-  function updateProtectionState(enabled) {
-    protectionEnabled = enabled;
+  function isActionEnforced(action) {
+    if (!isProtectionEnabled()) {
+      return false;
+    }
     
-    // Update CSS styles based on state
-    updateProtectionStyles(enabled);
+    // A lockdown enforces everything, whatever the policy says
+    if (isLockedDown()) {
+      return true;
+    }
+    
+    const actions = activePolicy && activePolicy.actions;
+    return !actions || actions[action] !== false;
   }
 
   /**
-   * Updates CSS styles based on protection state
-   * @param {boolean} enabled - Whether protection is enabled
+   * Checks if an anomaly lockdown covers this user and document
+   * Lockdowns override policies and sessions until an admin clears them
    */
-  function updateProtectionStyles(enabled) {
-    try {
+  function isLockedDown() {
+    const resourceId = currentResource.resourceId;
+    return !!resourceId && lockdowns.some(l => l.resourceId === resourceId && l.userId === userId);
+  }
+
+  /**
+   * Checks if the active policy only monitors: every handler lets actions
+   * through but logs what it would have blocked (lockdowns always block)
+   */
+  function isMonitorMode() {
+    return isProtectionEnabled() && !!activePolicy && activePolicy.enforcement === 'monitor' && !isLockedDown();
+  }
+
+  /**
+   * Logs a decision to block an action and says whether to carry it out
+   * @param {Object} eventData - The blocked (or redacted) event
+   * @returns {boolean} - True if the caller should block; false in monitor mode
+   */
+  function logBlockDecision(eventData) {
+    logAuditEvent(eventData);
+    return !isMonitorMode();
+  }
+
+  // Clipboard events already counted towards the anomaly "allowed" threshold
+  const countedClipboardEvents = new WeakSet();
+
+  /**
+   * Counts a copy, cut or paste that went through towards the anomaly "allowed"
+   * threshold (see recordAnomalyEvent in background.js) without writing it to
+   * the audit log. Each event counts once; events logged as 'allowed' are
+   * counted from the log and only marked here
+   * @param {ClipboardEvent} event - The clipboard event
+   * @param {string} action - 'copy', 'cut' or 'paste'
+   * @param {boolean} [logged] - True if the event was logged as 'allowed'
+   */
+  function countAllowedClipboardAction(event, action, logged) {
+    if (countedClipboardEvents.has(event)) {
+      return;
+    }
+    countedClipboardEvents.add(event);
+    if (!logged) {
+      logAuditEvent({ type: 'allowed', action: action, countOnly: true });
+    }
+  }
+
+  /**
+   * Checks if DOM text selection should be blocked on this page
+   * Canvas-rendered editors (Docs, Slides) need the selection for the caret
+   */
+  function isSelectionBlocked() {
+    return !!adapter && adapter.blocksDomSelection && isActionEnforced('selection') && !isMonitorMode();
+  }
+
+  /**
+   * Gets the list of actions currently enforced on this page
+   * @returns {string[]} - Enforced action names
+   */
+  function getEnforcedActions() {
+    return ENFORCEABLE_ACTIONS.filter(isActionEnforced);
+  }
+
+  /**
+   * Updates protection state (called from popup via message)
+   * @param {boolean} enabled - Whether protection should be enabled by default
+   */
+  function updateProtectionState(enabled) {
+    protectionEnabled = enabled;
+    
+    // Update CSS styles based on state
+    updateProtectionStyles();
+  }
+
+  /**
+   * Applies an updated policy store (pushed via storage change)
+   * @param {Array} newPolicies - Policy rules
+   */
+  function updatePolicies(newPolicies) {
+    policies = newPolicies || [];
+    activePolicy = resolvePolicy(currentUrl);
+    updateProtectionStyles();
+  }
+
+  /**
+   * Updates CSS styles based on protection state
+   * Selection styles only apply while the 'selection' action is enforced,
+   * the print stylesheet only while 'print' is enforced (neither in monitor mode)
+   */
+  function updateProtectionStyles() {
+    try {
       const style = document.getElementById('sheets-protection-style');
       if (style) {
-        if (enabled) {
-          style.textContent = `
+        let css = '';
+        
+        if (isSelectionBlocked()) {
+          css += `
             body:not([contenteditable="true"]) *:not(input):not(textarea):not([contenteditable="true"]) {
               -webkit-user-select: none !important;
               -moz-user-select: none !important;
@@ -307,12 +1020,81 @@
               user-select: text !important;
             }
           `;
-        } else {
-          style.textContent = `
-            /* Protection disabled - allow all selection */
+        }
+        
+        if (isActionEnforced('print') && !isMonitorMode()) {
+          // Blank the grid in any print output that gets past the print interception
+          css += `
+            @media print {
+              html:not([${PRINT_ALLOWED_ATTRIBUTE}]) body > * {
+                display: none !important;
+              }
+              html:not([${PRINT_ALLOWED_ATTRIBUTE}]) body::before {
+                content: ${cssString(t('noticeBlockedPrint'))};
+                display: block !important;
+                padding: 40px;
+                font: 16px Roboto, Arial, sans-serif;
+              }
+            }
+          `;
+        }
+        
+        if (getPrivacyBlurConfig()) {
+          // Hide the page (not the watermark, which lives outside body) while blurred
+          css += `
+            html[${PRIVACY_BLURRED_ATTRIBUTE}] body > * {
+              filter: blur(16px) !important;
+              pointer-events: none !important;
+            }
+            html[${PRIVACY_BLURRED_ATTRIBUTE}] body::after {
+              content: ${cssString(t('privacyBlurNotice'))};
+              position: fixed;
+              top: 50%;
+              left: 50%;
+              transform: translate(-50%, -50%);
+              padding: 16px 24px;
+              background: #323232;
+              color: #fff;
+              border-radius: 8px;
+              font: 14px Roboto, Arial, sans-serif;
+              z-index: 2147483645;
+              cursor: pointer;
+            }
+          `;
+        }
+        
+        if (isProtectionEnabled() && isLockedDown()) {
+          // Anomaly lockdown - nothing is readable until an admin clears it
+          css += `
+            body > * {
+              filter: blur(16px) !important;
+              pointer-events: none !important;
+            }
+            body::after {
+              content: ${cssString(t('lockdownNotice'))};
+              position: fixed;
+              top: 50%;
+              left: 50%;
+              transform: translate(-50%, -50%);
+              padding: 16px 24px;
+              background: #c5221f;
+              color: #fff;
+              border-radius: 8px;
+              font: 14px Roboto, Arial, sans-serif;
+              z-index: 2147483645;
+            }
           `;
         }
+        
+        style.textContent = css || `
+            /* Protection disabled - allow all selection and printing */
+          `;
       }
+      
+      // The watermark, privacy blur and page-context hooks follow the same policy state
+      updateWatermark();
+      updatePrivacyBlur();
+      sendPageHooksState();
     } catch (error) {
       console.warn('Error updating protection styles:', error);
     }
@@ -326,150 +1108,517 @@
           updateProtectionState(request.enabled);
           sendResponse({ success: true });
         }
+        if (request.action === 'getProtectionState') {
+          sendResponse({
+            enabled: isProtectionEnabled(),
+            actions: getEnforcedActions(),
+            monitor: isMonitorMode(),
+            policy: activePolicy,
+            resource: currentResource
+          });
+        }
         return true; // Keep message channel open for async response
       });
+      
+      // Policies are edited in the admin console; pick up changes immediately
+      chrome.storage.onChanged.addListener(function(changes, areaName) {
+        if (areaName === 'local' && changes[POLICIES_KEY]) {
+          updatePolicies(changes[POLICIES_KEY].newValue);
+        }
+        if (areaName === 'local' && changes[CLASSIFIERS_KEY]) {
+          customClassifiers = compileCustomClassifiers(changes[CLASSIFIERS_KEY].newValue);
+        }
+        if (areaName === 'local' && changes[SITES_KEY]) {
+          siteEnabled = isSiteEnabled(changes[SITES_KEY].newValue);
+          updateProtectionStyles();
+        }
+        if (areaName === 'local' && changes[LOCKDOWNS_KEY]) {
+          lockdowns = changes[LOCKDOWNS_KEY].newValue || [];
+          updateProtectionStyles();
+        }
+        // Grants, revocations and cancellations apply immediately
+        if (areaName === 'local' && changes[SESSIONS_KEY]) {
+          updateSessions(changes[SESSIONS_KEY].newValue);
+        }
+        if (areaName === 'local' && changes[NOTICE_SETTINGS_KEY]) {
+          noticeSettings = changes[NOTICE_SETTINGS_KEY].newValue || {};
+        }
+        if (areaName === 'local' && changes[SHORTCUTS_KEY]) {
+          loadShortcutTable();
+        }
+      });
     }
   } catch (error) {
     console.warn('Error setting up message listener:', error);
   }
 
   // ============================================================================
-  // TOAST NOTIFICATION SYSTEM
+  // BLOCK NOTIFICATIONS
   // ============================================================================
   
+  const NOTICE_HOST_ID = 'sheets-protection-notice';
+  const NOTICE_DURATION_MS = 5000;
+  const DEFAULT_NOTICE_ACCENT = '#ea4335';
+  const INFO_NOTICE_ACCENT = '#1a73e8';
+  // Access lengths offered by the in-page request form (minutes, as in the popup)
+  const REQUEST_DURATIONS = [5, 15, 30, 60];
+  
+  // Message names of the text shown per blocked action; a policy's messages override these
+  const DEFAULT_NOTICE_MESSAGES = {
+    copy: 'noticeBlockedCopy',
+    cut: 'noticeBlockedCut',
+    paste: 'noticeBlockedPaste',
+    selectAll: 'noticeBlockedSelectAll',
+    contextMenu: 'noticeBlockedContextMenu',
+    print: 'noticeBlockedPrint'
+  };
+  
+  // The visible notice: { root, card, message, key, count, timer, formOpen }
+  let notice = null;
+
   /**
-   * Creates and shows a non-intrusive toast notification
-   * @param {string} message - The message to display
+   * Gets the notice text for a blocked action: the policy's text for the UI
+   * language, then its any-language text, then the catalog's
+   * @param {string} action - Key of DEFAULT_NOTICE_MESSAGES
    */
-  function showToast(message) {
-    try {
-      // Remove existing toast if present
-      const existingToast = document.getElementById('sheets-protection-toast');
-      if (existingToast) {
-        existingToast.remove();
-      }
-
-      // Create toast element
-      const toast = document.createElement('div');
-      toast.id = 'sheets-protection-toast';
-      toast.textContent = message;
-      
-      // Style the toast (inline styles to avoid external dependencies)
-      Object.assign(toast.style, {
-        position: 'fixed',
-        top: '20px',
-        right: '20px',
-        backgroundColor: '#ea4335',
-        color: 'white',
-        padding: '12px 20px',
-        borderRadius: '4px',
-        boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
-        zIndex: '999999',
-        fontSize: '14px',
-        fontFamily: 'Roboto, Arial, sans-serif',
-        fontWeight: '500',
-        pointerEvents: 'none',
-        opacity: '0',
-        transition: 'opacity 0.3s ease-in-out',
-        maxWidth: '300px',
-        wordWrap: 'break-word'
-      });
+  function getNoticeMessage(action) {
+    const messages = (activePolicy && activePolicy.messages) || {};
+    // Policies saved before notices were localized hold one action → message map
+    const candidates = typeof messages[action] === 'string' ? [messages] : [messages[UI_LANGUAGE], messages.default];
+    const custom = candidates.find(localeMessages => localeMessages && localeMessages[action]);
+    return custom ? custom[action] : t(DEFAULT_NOTICE_MESSAGES[action] || DEFAULT_NOTICE_MESSAGES.copy);
+  }
 
-      // Append to document body (or documentElement if body not ready)
-      const target = document.body || document.documentElement;
-      target.appendChild(toast);
+  /**
+   * Checks if a block notice can offer to request access
+   * Sessions don't lift lockdowns, so there is nothing to request during one
+   */
+  function canRequestAccess() {
+    return noticeSettings.requestAccess !== false && !!currentResource.resourceId && !isLockedDown();
+  }
+
+  /**
+   * Shows the notice for a blocked action, with a Request access button
+   * @param {string} action - Blocked action (key of DEFAULT_NOTICE_MESSAGES)
+   * @param {string} [message] - A more specific reason; the policy's text for the action otherwise
+   */
+  function showBlockNotice(action, message) {
+    showNotice(message || getNoticeMessage(action), { requestAccess: canRequestAccess() });
+  }
 
-      // Trigger fade-in animation
-      requestAnimationFrame(() => {
-        toast.style.opacity = '1';
+  /**
+   * Creates the notice host on the page (top) document, or reuses this script's one
+   * The host stays in place between notices so its live region is already
+   * known to screen readers when a message is added to it
+   */
+  function getNoticeElements() {
+    const pageDocument = getPageDocument();
+    if (notice && notice.root.host.isConnected) {
+      return notice;
+    }
+    
+    // Another frame's host has a closed root this script can't reach
+    const existing = pageDocument.getElementById(NOTICE_HOST_ID);
+    if (existing) {
+      existing.remove();
+    }
+    
+    const host = pageDocument.createElement('div');
+    host.id = NOTICE_HOST_ID;
+    host.style.cssText = 'position: fixed !important; top: 20px !important; right: 20px !important; z-index: 2147483647 !important;';
+    const root = host.attachShadow({ mode: 'closed' });
+    
+    root.innerHTML = `
+      <style>
+        .card {
+          --accent: ${DEFAULT_NOTICE_ACCENT};
+          box-sizing: border-box;
+          width: 320px;
+          max-width: calc(100vw - 40px);
+          padding: 12px 16px;
+          border-left: 4px solid var(--accent);
+          border-radius: 4px;
+          background: #fff;
+          color: #202124;
+          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2);
+          font: 14px Roboto, Arial, sans-serif;
+        }
+        .card[hidden], form[hidden], button[hidden] { display: none; }
+        .header { display: flex; align-items: center; gap: 8px; margin-bottom: 4px; }
+        .title { flex: 1; font-size: 12px; font-weight: 500; color: var(--accent); text-transform: uppercase; }
+        .count { font-size: 12px; font-weight: 500; color: #5f6368; }
+        .close { border: none; background: none; padding: 0 4px; font-size: 18px; line-height: 1; color: #5f6368; cursor: pointer; }
+        .message { margin: 0; font-weight: 500; }
+        .support { margin: 6px 0 0; font-size: 12px; color: #5f6368; }
+        .support:empty { display: none; }
+        .actions { display: flex; justify-content: flex-end; gap: 8px; margin-top: 10px; }
+        .actions:empty { display: none; }
+        button.primary, button.secondary { padding: 6px 12px; border-radius: 4px; font-size: 13px; cursor: pointer; }
+        button.primary { border: none; background: var(--accent); color: #fff; }
+        button.primary:disabled { opacity: 0.6; cursor: default; }
+        button.secondary { border: 1px solid #dadce0; background: #fff; color: #202124; }
+        form { margin-top: 10px; }
+        label { display: block; margin-bottom: 4px; font-size: 12px; color: #5f6368; }
+        select { width: 100%; padding: 6px; border: 1px solid #dadce0; border-radius: 4px; font: inherit; }
+        .status { margin: 8px 0 0; font-size: 12px; color: #5f6368; }
+        .status:empty { display: none; }
+        .sr-only { position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; }
+      </style>
+      <div class="sr-only" role="status" aria-live="assertive" aria-atomic="true"></div>
+      <div class="card" role="group" hidden>
+        <div class="header">
+          <span class="title"></span>
+          <span class="count" aria-hidden="true"></span>
+          <button type="button" class="close" aria-label="${t('noticeDismiss')}">&times;</button>
+        </div>
+        <p class="message"></p>
+        <p class="support"></p>
+        <div class="actions">
+          <button type="button" class="primary request">${t('noticeRequestAccess')}</button>
+        </div>
+        <form hidden>
+          <label for="duration">${t('noticeRequestFor')}</label>
+          <select id="duration"></select>
+          <div class="actions">
+            <button type="button" class="secondary cancel">${t('commonCancel')}</button>
+            <button type="submit" class="primary">${t('noticeSendRequest')}</button>
+          </div>
+        </form>
+        <p class="status" role="status"></p>
+      </div>
+    `;
+    
+    const select = root.querySelector('select');
+    REQUEST_DURATIONS.forEach(function(minutes) {
+      const option = pageDocument.createElement('option');
+      option.value = String(minutes);
+      option.textContent = formatDuration(minutes);
+      select.appendChild(option);
+    });
+    select.value = '15';
+    
+    notice = {
+      root: root,
+      card: root.querySelector('.card'),
+      live: root.querySelector('[role="status"]'),
+      key: null,
+      count: 0,
+      timer: null,
+      formOpen: false
+    };
+    
+    root.querySelector('.close').addEventListener('click', hideNotice);
+    root.querySelector('.request').addEventListener('click', openAccessRequestForm);
+    root.querySelector('.cancel').addEventListener('click', function() {
+      closeAccessRequestForm();
+      scheduleNoticeHide();
+    });
+    root.querySelector('form').addEventListener('submit', function(event) {
+      event.preventDefault();
+      submitAccessRequest(parseInt(select.value, 10));
+    });
+    
+    // Hovering or working in the notice keeps it open
+    notice.card.addEventListener('mouseenter', function() {
+      clearTimeout(notice.timer);
+    });
+    notice.card.addEventListener('mouseleave', scheduleNoticeHide);
+    
+    // Keep the page's own shortcut, clipboard and mouse handlers out of the notice
+    ['keydown', 'keypress', 'keyup', 'copy', 'cut', 'paste', 'mousedown', 'mouseup', 'click', 'contextmenu'].forEach(function(type) {
+      host.addEventListener(type, function(event) {
+        if (event.type === 'keydown' && event.key === 'Escape') {
+          hideNotice();
+        }
+        event.stopPropagation();
       });
+    });
+    
+    pageDocument.documentElement.appendChild(host);
+    return notice;
+  }
 
-      // Auto-remove after 3 seconds
-      setTimeout(() => {
-        toast.style.opacity = '0';
-        setTimeout(() => {
-          if (toast.parentNode) {
-            toast.parentNode.removeChild(toast);
-          }
-        }, 300);
-      }, 3000);
+  /**
+   * Shows a notice; a repeat of the notice on screen is collapsed into it with a count
+   * @param {string} message - The message to display
+   * @param {Object} [options] - { requestAccess: offer the Request access button,
+   *   info: informational notice rather than a block }
+   */
+  function showNotice(message, options) {
+    try {
+      const opts = options || {};
+      const elements = getNoticeElements();
+      const key = (opts.info ? 'info:' : 'block:') + message;
+      
+      if (!elements.card.hidden && elements.key === key) {
+        elements.count++;
+        elements.root.querySelector('.count').textContent = '×' + elements.count;
+        scheduleNoticeHide();
+        return;
+      }
+      
+      // A new message replaces the notice, unless the user is filling in a request
+      if (elements.formOpen) {
+        return;
+      }
+      
+      elements.key = key;
+      elements.count = 1;
+      elements.card.style.setProperty('--accent', opts.info ? INFO_NOTICE_ACCENT : (noticeSettings.accentColor || DEFAULT_NOTICE_ACCENT));
+      // The card is announced under the same title the heading shows
+      const title = noticeSettings.title || t(opts.info ? 'noticeTitleInfo' : 'noticeTitleBlocked');
+      elements.card.setAttribute('aria-label', title);
+      elements.root.querySelector('.title').textContent = title;
+      elements.root.querySelector('.count').textContent = '';
+      elements.root.querySelector('.message').textContent = message;
+      elements.root.querySelector('.support').textContent = opts.info ? '' : (noticeSettings.supportText || '');
+      elements.root.querySelector('.request').hidden = !opts.requestAccess;
+      elements.root.querySelector('.status').textContent = '';
+      elements.card.hidden = false;
+      
+      // Announced once per notice; collapsed repeats stay quiet
+      elements.live.textContent = message;
+      scheduleNoticeHide();
     } catch (error) {
-      // Silently fail if toast cannot be shown
-      console.warn('Failed to show toast:', error);
+      // Silently fail if the notice cannot be shown
+      console.warn('Failed to show notice:', error);
     }
   }
 
-  // ============================================================================
-  // KEYBOARD SHORTCUT BLOCKING
-  // ============================================================================
+  /**
+   * (Re)starts the notice's auto-hide timer
+   */
+  function scheduleNoticeHide() {
+    if (!notice) {
+      return;
+    }
+    clearTimeout(notice.timer);
+    if (notice.formOpen) {
+      return;
+    }
+    notice.timer = setTimeout(hideNotice, NOTICE_DURATION_MS);
+  }
 
   /**
-   * Checks if a keyboard event is a blocked shortcut
-   * @param {KeyboardEvent} event - The keyboard event
-   * @returns {boolean} - True if the shortcut should be blocked
+   * Hides the notice, leaving its host (and live region) in place
    */
-  function isBlockedShortcut(event) {
-    // Check for Ctrl (Windows/Linux) or Cmd (macOS)
-    const isModifierPressed = event.ctrlKey || event.metaKey;
-    
-    if (!isModifierPressed) {
-      return false;
+  function hideNotice() {
+    if (!notice) {
+      return;
     }
+    clearTimeout(notice.timer);
+    closeAccessRequestForm();
+    notice.card.hidden = true;
+    notice.key = null;
+    notice.live.textContent = '';
+  }
 
-    const key = event.key.toLowerCase();
-    
-    // Block: Ctrl+C / Cmd+C (Copy)
-    if (key === 'c' && !event.shiftKey) {
-      return true;
+  /**
+   * Swaps the notice's Request access button for the request form
+   */
+  function openAccessRequestForm() {
+    clearTimeout(notice.timer);
+    notice.formOpen = true;
+    notice.root.querySelector('.request').hidden = true;
+    notice.root.querySelector('form').hidden = false;
+    notice.root.querySelector('.status').textContent = '';
+    notice.root.querySelector('select').focus();
+  }
+
+  /**
+   * Closes the request form without sending it
+   */
+  function closeAccessRequestForm() {
+    if (!notice || !notice.formOpen) {
+      return;
     }
+    notice.formOpen = false;
+    notice.root.querySelector('form').hidden = true;
+    notice.root.querySelector('.request').hidden = !canRequestAccess();
+  }
+
+  /**
+   * Sends an access request for this document to background.js
+   * The same request the popup sends; an admin approves it in the admin console
+   * @param {number} duration - Minutes of access requested
+   */
+  function submitAccessRequest(duration) {
+    const submitButton = notice.root.querySelector('button[type="submit"]');
+    const status = notice.root.querySelector('.status');
+    submitButton.disabled = true;
     
-    // Block: Ctrl+X / Cmd+X (Cut)
-    if (key === 'x' && !event.shiftKey) {
-      return true;
+    function finish(text, sent) {
+      submitButton.disabled = false;
+      status.textContent = text;
+      if (sent) {
+        notice.formOpen = false;
+        notice.root.querySelector('form').hidden = true;
+        scheduleNoticeHide();
+      }
     }
     
-    // Block: Ctrl+A / Cmd+A (Select All)
-    if (key === 'a' && !event.shiftKey) {
-      return true;
+    getUserId().then(function(id) {
+      try {
+        chrome.storage.local.get(['pendingRequests'], function(result) {
+          const requests = result.pendingRequests || [];
+          if (requests.some(r => r.status === 'pending' && r.userId === id && r.resourceId === currentResource.resourceId)) {
+            finish(t('noticeRequestPending'), true);
+            return;
+          }
+          
+          chrome.runtime.sendMessage({
+            action: 'addRequest',
+            userId: id,
+            url: currentUrl,
+            resourceId: currentResource.resourceId,
+            gid: currentResource.gid,
+            scope: { type: 'document' },
+            duration: duration,
+            durationType: 'predefined'
+          }, function(response) {
+            if (chrome.runtime.lastError || !response || !response.success) {
+              finish(t('noticeRequestFailed'), false);
+              return;
+            }
+            finish(t('noticeRequestSent'), true);
+          });
+        });
+      } catch (error) {
+        // Extension context invalidated (extension reloaded)
+        finish(t('noticeRequestReload'), false);
+      }
+    });
+  }
+
+  // ============================================================================
+  // KEYBOARD SHORTCUT BLOCKING
+  // ============================================================================
+
+  // Shortcuts that trigger a protected action, per platform. The defaults live in
+  // background.js and admins can replace a platform's table in the Policies tab
+  // (stored under SHORTCUTS_KEY). Keys are written Ctrl+Cmd+Alt+Shift+Key
+  // Actions a shortcut can trigger (selection and export have no shortcut of their own)
+  const SHORTCUT_ACTIONS = ['copy', 'cut', 'paste', 'selectAll', 'contextMenu', 'print'];
+  const SHORTCUT_PLATFORM = getShortcutPlatform();
+  let shortcutTable = new Map();
+
+  /**
+   * Detects which platform's shortcut table applies to this browser
+   * @returns {string} - 'win', 'mac', 'linux' or 'cros'
+   */
+  function getShortcutPlatform() {
+    const platform = ((navigator.userAgentData && navigator.userAgentData.platform) ||
+      navigator.platform || '').toLowerCase();
+    if (/cros|chrome ?os/.test(platform) || /\bCrOS\b/.test(navigator.userAgent)) {
+      return 'cros';
     }
-    
-    // Block: Ctrl+V / Cmd+V (Paste) - optional but preferred
-    if (key === 'v' && !event.shiftKey) {
-      return true;
+    if (/mac/.test(platform)) {
+      return 'mac';
     }
+    if (/win/.test(platform)) {
+      return 'win';
+    }
+    return 'linux';
+  }
 
-    return false;
+  /**
+   * Builds the key combination → action lookup for this platform
+   * @param {Object} settings - Platform → [{ keys, action }] saved by the admin
+   * @param {Object} defaults - Platform → [{ keys, action }] for platforms without a saved table
+   * @returns {Map} - Combination written as in the table → action name
+   */
+  function buildShortcutTable(settings, defaults) {
+    const entries = settings && Array.isArray(settings[SHORTCUT_PLATFORM])
+      ? settings[SHORTCUT_PLATFORM]
+      : (defaults && defaults[SHORTCUT_PLATFORM]) || [];
+    const table = new Map();
+    entries.forEach(entry => {
+      if (entry && typeof entry.keys === 'string' && SHORTCUT_ACTIONS.indexOf(entry.action) !== -1) {
+        table.set(entry.keys, entry.action);
+      }
+    });
+    return table;
+  }
+
+  /**
+   * Loads this platform's shortcut table from the background worker, which
+   * holds the defaults for platforms the admin hasn't changed
+   */
+  function loadShortcutTable() {
+    try {
+      chrome.runtime.sendMessage({ action: 'getShortcuts' }, function(response) {
+        if (chrome.runtime.lastError) {
+          return;
+        }
+        if (response && response.success) {
+          shortcutTable = buildShortcutTable(response.settings, response.defaults);
+        }
+      });
+    } catch (error) {
+      console.warn('Error loading shortcut table:', error);
+    }
+  }
+
+  /**
+   * Writes a keyboard event as a key combination, in the table's form
+   * Letters and digits come from the physical key when the character does not
+   * name it (Option on macOS, non-Latin layouts), so Cmd+Alt+Shift+V still matches
+   * @param {KeyboardEvent} event - The keyboard event
+   * @returns {string} - e.g. 'Ctrl+Shift+V' or 'Shift+Insert'
+   */
+  function getShortcutKeys(event) {
+    let key = event.key || '';
+    if (key.length === 1) {
+      const physical = /^(?:Key|Digit)([A-Z0-9])$/.exec(event.code || '');
+      key = /^[a-z0-9]$/i.test(key) || !physical ? key.toUpperCase() : physical[1];
+    }
+    const parts = [];
+    if (event.ctrlKey) parts.push('Ctrl');
+    if (event.metaKey) parts.push('Cmd');
+    if (event.altKey) parts.push('Alt');
+    if (event.shiftKey) parts.push('Shift');
+    parts.push(key === ' ' ? 'Space' : key);
+    return parts.join('+');
+  }
+
+  /**
+   * Maps a keyboard event to the protected action it triggers
+   * @param {KeyboardEvent} event - The keyboard event
+   * @returns {string|null} - Action name, or null if not a protected shortcut
+   */
+  function getShortcutAction(event) {
+    return shortcutTable.get(getShortcutKeys(event)) || null;
+  }
+
+  /**
+   * Checks if a keyboard event is a blocked shortcut
+   * @param {KeyboardEvent} event - The keyboard event
+   * @returns {boolean} - True if the shortcut's action is enforced
+   */
+  function isBlockedShortcut(event) {
+    const action = getShortcutAction(event);
+    return action !== null && isActionEnforced(action);
   }
 
   /**
    * Handles keyboard events to block shortcuts
    * Uses capture phase to intercept before Google Sheets handlers
    */
-  async function handleKeyDown(event) {
+  function handleKeyDown(event) {
     try {
       // Check if protection is enabled
       if (!isProtectionEnabled()) {
         return;
       }
 
-      // Allow normal typing - only block modifier key combinations
-      if (!event.ctrlKey && !event.metaKey) {
-        return;
-      }
-
-      // Check if this is a blocked shortcut
+      // Check if this is a blocked shortcut (normal typing matches no entry)
       if (isBlockedShortcut(event)) {
-        const key = event.key.toLowerCase();
-        const action = key === 'c' ? 'copy' : key === 'x' ? 'cut' : key === 'a' ? 'select' : key === 'v' ? 'paste' : 'unknown';
+        const action = getShortcutAction(event);
         
         // For copy/cut, also check if we're in an editable element
-        if (key === 'c' || key === 'x') {
+        if (action === 'copy' || action === 'cut') {
           const activeElement = document.activeElement;
-          if (activeElement && (
-            activeElement.tagName === 'INPUT' ||
-            activeElement.tagName === 'TEXTAREA' ||
-            activeElement.isContentEditable
-          )) {
+          if (adapter.isEditableElement(activeElement)) {
             // Check if there's a selection within the editable element
             if (activeElement.tagName === 'INPUT' || activeElement.tagName === 'TEXTAREA') {
               const start = activeElement.selectionStart;
@@ -488,18 +1637,28 @@
           }
         }
         
-        // Check for active session (synchronous check first for performance)
-        const cachedSession = hasActiveSessionSync();
-        if (cachedSession === true) {
+        // Check for active session
+        if (hasActiveSession(action)) {
           // Allow if session is active - no logging needed
           return;
-        } else if (cachedSession === null) {
-          // Cache expired, do async check
-          const hasSession = await hasActiveSession();
-          if (hasSession) {
-            // Allow if session is active - no logging needed
-            return;
-          }
+        }
+        
+        // "Block only if sensitive" / redact - handleCopy/handleCut decide on
+        // the payload, and redact mode rewrites it there
+        if (isDecidedOnPayload(action)) {
+          return;
+        }
+        
+        // Log the blocked attempt (monitor mode stops here and lets it through)
+        const selection = window.getSelection();
+        const blockedEvent = {
+          type: 'blocked',
+          action: action,
+          dataPreview: selection && selection.toString() ? getDataPreview(selection.toString()) : null,
+          details: `Blocked ${action} attempt via keyboard shortcut ${getShortcutKeys(event)}`
+        };
+        if (!logBlockDecision(blockedEvent)) {
+          return;
         }
         
         // Block the action
@@ -507,21 +1666,12 @@
         event.stopPropagation();
         event.stopImmediatePropagation();
         
-        // Log the blocked attempt
-        const cellRange = getCellRange();
-        const selection = window.getSelection();
-        const dataPreview = selection && selection.toString() ? getDataPreview(selection.toString()) : null;
-        
-        logAuditEvent({
-          type: 'blocked',
-          action: action,
-          cellRange: cellRange,
-          dataPreview: dataPreview,
-          details: `Blocked ${action} attempt via keyboard shortcut`
-        });
+        // Copy/cut can be broken out of when the policy allows it
+        if ((action === 'copy' || action === 'cut') && offerBreakGlass(action, blockedEvent)) {
+          return false;
+        }
         
-        // Show warning toast
-        showToast('Copying data from this sheet is restricted.');
+        showBlockNotice(action);
         
         return false;
       }
@@ -541,7 +1691,7 @@
         return;
       }
 
-      if (isBlockedShortcut(event)) {
+      if (isBlockedShortcut(event) && !isMonitorMode() && !isDecidedOnPayload(getShortcutAction(event))) {
         event.preventDefault();
         event.stopPropagation();
         event.stopImmediatePropagation();
@@ -560,41 +1710,34 @@
    * Blocks right-click context menu
    * Uses capture phase to intercept before default behavior
    */
-  async function handleContextMenu(event) {
+  function handleContextMenu(event) {
     try {
-      // Check if protection is enabled
-      if (!isProtectionEnabled()) {
+      // Check if contextMenu is enforced for this sheet
+      if (!isActionEnforced('contextMenu')) {
         return;
       }
 
-      // Check for active session (synchronous check first for performance)
-      const cachedSession = hasActiveSessionSync();
-      if (cachedSession === true) {
+      // Check for active session
+      if (hasActiveSession('contextMenu')) {
         // Allow right-click if session is active
         return;
-      } else if (cachedSession === null) {
-        // Cache expired, do async check
-        const hasSession = await hasActiveSession();
-        if (hasSession) {
-          // Allow right-click if session is active
-          return;
-        }
       }
 
+      // Log the blocked attempt (monitor mode stops here and lets it through)
+      if (!logBlockDecision({
+        type: 'blocked',
+        action: 'contextmenu',
+        details: 'Blocked right-click context menu'
+      })) {
+        return;
+      }
+      
       // Block all right-click events
       event.preventDefault();
       event.stopPropagation();
       event.stopImmediatePropagation();
       
-      // Log the blocked attempt
-      logAuditEvent({
-        type: 'blocked',
-        action: 'contextmenu',
-        details: 'Blocked right-click context menu'
-      });
-      
-      // Show warning toast
-      showToast('Copying data from this sheet is restricted.');
+      showBlockNotice('contextMenu');
       
       return false;
     } catch (error) {
@@ -603,27 +1746,104 @@
   }
 
   // ============================================================================
-  // TEXT SELECTION BLOCKING
+  // PRINT BLOCKING
   // ============================================================================
 
   /**
-   * Blocks text selection via mouse drag
-   * Uses capture phase to intercept selection events
+   * Replaces window.print so print() calls made through this world are blocked
+   * Page-context calls and the browser's own print menu still reach
+   * beforeprint, where the print stylesheet blanks the output
    */
-  function handleSelectStart(event) {
+  function interceptPrint() {
     try {
-      // Check if protection is enabled
-      if (!isProtectionEnabled()) {
+      const originalPrint = window.print;
+      if (typeof originalPrint !== 'function') {
         return;
       }
 
-      // Allow selection inside input/textarea elements (for editing cells)
-      const target = event.target;
-      if (target && (
-        target.tagName === 'INPUT' ||
-        target.tagName === 'TEXTAREA' ||
-        target.isContentEditable
-      )) {
+      window.print = function() {
+        if (!isActionEnforced('print') || hasActiveSession('print')) {
+          return originalPrint.call(window);
+        }
+
+        if (!logBlockDecision({
+          type: 'blocked',
+          action: 'print',
+          details: 'Blocked print attempt via window.print()'
+        })) {
+          return originalPrint.call(window);
+        }
+        
+        showBlockNotice('print');
+      };
+    } catch (e) {
+      // window.print may not be writable - beforeprint handling still applies
+    }
+  }
+
+  /**
+   * Handles beforeprint (File > Print, browser menu, page print() calls)
+   * Printing cannot be cancelled here, so the print stylesheet blanks the
+   * grid unless an approved session allows it
+   */
+  function handleBeforePrint() {
+    try {
+      if (!isActionEnforced('print')) {
+        return;
+      }
+
+      // Must decide synchronously - the page is laid out for print right after this
+      if (hasActiveSession('print')) {
+        document.documentElement.setAttribute(PRINT_ALLOWED_ATTRIBUTE, '');
+        return;
+      }
+
+      // Monitor mode has no print stylesheet, so the output is left as is
+      if (!logBlockDecision({
+        type: 'blocked',
+        action: 'print',
+        details: 'Blocked print attempt (print output blanked)'
+      })) {
+        return;
+      }
+      
+      document.documentElement.removeAttribute(PRINT_ALLOWED_ATTRIBUTE);
+      
+      showBlockNotice('print');
+    } catch (error) {
+      console.warn('Error in handleBeforePrint:', error);
+    }
+  }
+
+  /**
+   * Clears the one-off print allowance after printing
+   */
+  function handleAfterPrint() {
+    try {
+      document.documentElement.removeAttribute(PRINT_ALLOWED_ATTRIBUTE);
+    } catch (error) {
+      console.warn('Error in handleAfterPrint:', error);
+    }
+  }
+
+  // ============================================================================
+  // TEXT SELECTION BLOCKING
+  // ============================================================================
+
+  /**
+   * Blocks text selection via mouse drag
+   * Uses capture phase to intercept selection events
+   */
+  function handleSelectStart(event) {
+    try {
+      // Check if selection is enforced for this sheet
+      if (!isSelectionBlocked()) {
+        return;
+      }
+
+      // Allow selection inside input/textarea elements (for editing cells)
+      const target = event.target;
+      if (adapter.isEditableElement(target)) {
         // Allow selection within editable elements
         return;
       }
@@ -653,11 +1873,7 @@
       mouseDownTarget = event.target;
       
       // Allow mouse down in editable elements
-      if (mouseDownTarget && (
-        mouseDownTarget.tagName === 'INPUT' ||
-        mouseDownTarget.tagName === 'TEXTAREA' ||
-        mouseDownTarget.isContentEditable
-      )) {
+      if (adapter.isEditableElement(mouseDownTarget)) {
         return;
       }
     } catch (error) {
@@ -679,8 +1895,8 @@
       isMouseDown = false;
       mouseDownTarget = null;
       
-      // Check if protection is enabled
-      if (!isProtectionEnabled()) {
+      // Check if selection is enforced for this sheet
+      if (!isSelectionBlocked()) {
         return;
       }
       
@@ -689,12 +1905,7 @@
         const selection = window.getSelection();
         if (selection && selection.rangeCount > 0) {
           // Allow selection in editable elements
-          const target = event.target;
-          if (target && (
-            target.tagName === 'INPUT' ||
-            target.tagName === 'TEXTAREA' ||
-            target.isContentEditable
-          )) {
+          if (adapter.isEditableElement(event.target)) {
             return;
           }
           
@@ -712,19 +1923,13 @@
    */
   function handleSelect(event) {
     try {
-      // Check if protection is enabled
-      if (!isProtectionEnabled()) {
+      // Check if selection is enforced for this sheet
+      if (!isSelectionBlocked()) {
         return;
       }
 
-      const target = event.target;
-      
       // Allow selection in editable elements
-      if (target && (
-        target.tagName === 'INPUT' ||
-        target.tagName === 'TEXTAREA' ||
-        target.isContentEditable
-      )) {
+      if (adapter.isEditableElement(event.target)) {
         return;
       }
 
@@ -739,9 +1944,7 @@
           // Allow if selection is within editable content
           let node = container.nodeType === 1 ? container : container.parentNode;
           while (node && node !== document.body) {
-            if (node.isContentEditable || 
-                node.tagName === 'INPUT' || 
-                node.tagName === 'TEXTAREA') {
+            if (adapter.isEditableElement(node)) {
               return;
             }
             node = node.parentNode;
@@ -759,106 +1962,456 @@
   }
 
   // ============================================================================
-  // COPY/PASTE EVENT BLOCKING
+  // DLP CLASSIFIERS
   // ============================================================================
 
+  // Verhoeff tables (Aadhaar check digit)
+  const VERHOEFF_D = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+    [2, 3, 4, 0, 1, 7, 8, 9, 5, 6], [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+    [4, 0, 1, 2, 3, 9, 5, 6, 7, 8], [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+    [6, 5, 9, 8, 7, 1, 0, 4, 3, 2], [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+    [8, 7, 6, 5, 9, 3, 2, 1, 0, 4], [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+  ];
+  const VERHOEFF_P = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+    [5, 8, 0, 3, 7, 9, 6, 1, 4, 2], [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+    [9, 4, 5, 3, 1, 2, 6, 8, 7, 0], [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+    [2, 7, 9, 3, 8, 0, 6, 4, 1, 5], [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+  ];
+
   /**
-   * Checks if copy should be allowed from the current context
-   * @returns {boolean} - True if copy should be allowed
+   * Luhn checksum (payment card numbers)
    */
-  function shouldAllowCopy() {
-    try {
-      // Check if there's an active selection
-      if (window.getSelection) {
-        const selection = window.getSelection();
-        if (selection && selection.rangeCount > 0) {
-          const range = selection.getRangeAt(0);
-          const container = range.commonAncestorContainer;
-          let node = container.nodeType === 1 ? container : container.parentNode;
-          
-          // Check if selection is within an editable element
-          while (node && node !== document.body && node !== document.documentElement) {
-            if (node.tagName === 'INPUT' || 
-                node.tagName === 'TEXTAREA' || 
-                node.isContentEditable) {
-              // Check if the entire selection is within this editable element
-              const editableRect = node.getBoundingClientRect();
-              const rangeRect = range.getBoundingClientRect();
-              
-              // Allow if selection is completely within the editable element
-              if (rangeRect.left >= editableRect.left &&
-                  rangeRect.right <= editableRect.right &&
-                  rangeRect.top >= editableRect.top &&
-                  rangeRect.bottom <= editableRect.bottom) {
-                return true;
-              }
-            }
-            node = node.parentNode;
+  function passesLuhn(digits) {
+    let sum = 0;
+    let double = false;
+    for (let i = digits.length - 1; i >= 0; i--) {
+      let digit = digits.charCodeAt(i) - 48;
+      if (double) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+      double = !double;
+    }
+    return sum % 10 === 0;
+  }
+
+  /**
+   * Verhoeff checksum (Aadhaar numbers)
+   */
+  function passesVerhoeff(digits) {
+    let check = 0;
+    const reversed = digits.split('').reverse();
+    for (let i = 0; i < reversed.length; i++) {
+      check = VERHOEFF_D[check][VERHOEFF_P[i % 8][reversed[i].charCodeAt(0) - 48]];
+    }
+    return check === 0;
+  }
+
+  /**
+   * ISO 13616 mod-97 check (IBANs)
+   */
+  function passesIbanCheck(value) {
+    const iban = value.replace(/\s/g, '').toUpperCase();
+    if (iban.length < 15 || iban.length > 34) {
+      return false;
+    }
+    const rearranged = iban.slice(4) + iban.slice(0, 4);
+    let remainder = 0;
+    for (let i = 0; i < rearranged.length; i++) {
+      const code = rearranged.charCodeAt(i);
+      const chunk = code >= 65 ? String(code - 55) : rearranged[i];
+      for (let j = 0; j < chunk.length; j++) {
+        remainder = (remainder * 10 + (chunk.charCodeAt(j) - 48)) % 97;
+      }
+    }
+    return remainder === 1;
+  }
+
+  function digitsOf(value) {
+    return value.replace(/\D/g, '');
+  }
+
+  /**
+   * Built-in classifiers
+   * Each pattern must be global; validate() weeds out look-alike numbers,
+   * mask() produces the token used by redact-on-copy
+   */
+  const BUILTIN_CLASSIFIERS = [
+    {
+      id: 'creditCard',
+      name: 'Credit card number',
+      mask: value => '****' + digitsOf(value).slice(-4),
+      patterns: [{
+        regex: /\b(?:\d[ -]?){12,18}\d\b/g,
+        validate: value => {
+          const digits = digitsOf(value);
+          return digits.length >= 13 && digits.length <= 19 && passesLuhn(digits);
+        }
+      }]
+    },
+    {
+      id: 'iban',
+      name: 'IBAN',
+      mask: value => value.slice(0, 2) + '****' + value.replace(/\s/g, '').slice(-4),
+      patterns: [{
+        regex: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g,
+        validate: passesIbanCheck
+      }]
+    },
+    {
+      id: 'nationalId',
+      name: 'National ID',
+      mask: () => '[NATIONAL_ID]',
+      patterns: [
+        // US Social Security Number
+        { regex: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g },
+        // India Aadhaar (Verhoeff check digit)
+        { regex: /\b[2-9]\d{3}[ -]?\d{4}[ -]?\d{4}\b/g, validate: value => passesVerhoeff(digitsOf(value)) },
+        // India PAN
+        { regex: /\b[A-Z]{3}[ABCFGHLJPT][A-Z]\d{4}[A-Z]\b/g },
+        // UK National Insurance number
+        { regex: /\b(?!BG|GB|NK|KN|TN|NT|ZZ)[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z] ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/g }
+      ]
+    },
+    {
+      id: 'email',
+      name: 'Email address',
+      mask: () => '[EMAIL]',
+      patterns: [{ regex: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g }]
+    },
+    {
+      id: 'phone',
+      name: 'Phone number',
+      mask: () => '[PHONE]',
+      patterns: [{
+        regex: /(?:\+\d{1,3}[ .-]?\d[\d .-]{6,14}\d|\(\d{3}\) ?\d{3}[ .-]\d{4}|\b\d{3}[.-]\d{3}[.-]\d{4}|\b[6-9]\d{4} \d{5})\b/g,
+        validate: value => {
+          const length = digitsOf(value).length;
+          return length >= 7 && length <= 15;
+        }
+      }]
+    }
+  ];
+
+  /**
+   * Compiles admin-defined classifiers (regex or keyword list)
+   * Invalid patterns are skipped so one bad rule cannot break copy handling
+   * @param {Array} definitions - Stored classifier definitions
+   * @returns {Array} - Classifiers in the same shape as BUILTIN_CLASSIFIERS
+   */
+  function compileCustomClassifiers(definitions) {
+    const compiled = [];
+    (definitions || []).forEach(definition => {
+      try {
+        let regex = null;
+        if (definition.type === 'keywords') {
+          const keywords = (definition.keywords || [])
+            .map(keyword => keyword.trim())
+            .filter(Boolean)
+            .map(keyword => keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+          if (keywords.length > 0) {
+            regex = new RegExp('\\b(?:' + keywords.join('|') + ')\\b', definition.caseSensitive ? 'g' : 'gi');
           }
+        } else if (definition.pattern) {
+          const flags = (definition.flags || '').replace(/g/g, '');
+          regex = new RegExp(definition.pattern, flags + 'g');
+        }
+        
+        if (regex) {
+          const token = '[' + definition.name.toUpperCase().replace(/[^A-Z0-9]+/g, '_') + ']';
+          compiled.push({
+            id: definition.id,
+            name: definition.name,
+            custom: true,
+            mask: () => token,
+            patterns: [{ regex: regex }]
+          });
         }
+      } catch (error) {
+        console.warn('Skipping invalid classifier:', definition.name, error);
       }
-      
-      // Check active element
-      const activeElement = document.activeElement;
-      if (activeElement && (
-        activeElement.tagName === 'INPUT' ||
-        activeElement.tagName === 'TEXTAREA' ||
-        activeElement.isContentEditable
-      )) {
-        // Only allow if we're copying text that's actually selected within the input
-        if (activeElement.tagName === 'INPUT' || activeElement.tagName === 'TEXTAREA') {
-          const start = activeElement.selectionStart;
-          const end = activeElement.selectionEnd;
-          // Allow if there's a selection within the input field itself
-          if (start !== null && end !== null && start !== end) {
-            return true;
-          }
+    });
+    return compiled;
+  }
+
+  /**
+   * Gets the classifiers the active policy uses (all of them unless it lists some)
+   * @param {string[]|null} [selection] - Classifier IDs to use instead of the policy's copy selection
+   */
+  function getActiveClassifiers(selection) {
+    const all = BUILTIN_CLASSIFIERS.concat(customClassifiers);
+    const selected = selection !== undefined ? selection : activePolicy && activePolicy.classifiers;
+    if (!Array.isArray(selected)) {
+      return all;
+    }
+    return all.filter(classifier => selected.indexOf(classifier.id) !== -1);
+  }
+
+  /**
+   * Finds every match of one classifier in a text
+   * @returns {Array<{start: number, end: number, value: string}>}
+   */
+  function findClassifierMatches(classifier, text) {
+    const matches = [];
+    classifier.patterns.forEach(pattern => {
+      pattern.regex.lastIndex = 0;
+      let match;
+      while ((match = pattern.regex.exec(text)) !== null) {
+        if (match[0].length === 0) {
+          // Guard against zero-length matches from custom patterns
+          pattern.regex.lastIndex++;
+          continue;
+        }
+        if (!pattern.validate || pattern.validate(match[0])) {
+          matches.push({ start: match.index, end: match.index + match[0].length, value: match[0] });
         }
       }
-      
-      return false;
-    } catch (error) {
-      console.warn('Error checking copy allowance:', error);
-      return false;
+    });
+    return matches;
+  }
+
+  /**
+   * Runs the active classifiers over a copy/paste payload
+   * @param {string} text - Payload text
+   * @param {string[]|null} [selection] - Classifier IDs (see getActiveClassifiers)
+   * @returns {Array<{id: string, name: string, count: number}>} - Classifiers that matched
+   */
+  function classifyText(text, selection) {
+    if (!text) {
+      return [];
     }
+    
+    const results = [];
+    getActiveClassifiers(selection).forEach(classifier => {
+      try {
+        const count = findClassifierMatches(classifier, text).length;
+        if (count > 0) {
+          results.push({ id: classifier.id, name: classifier.name, count: count });
+        }
+      } catch (error) {
+        console.warn('Classifier failed:', classifier.name, error);
+      }
+    });
+    return results;
   }
 
   /**
-   * Blocks copy events (including menu actions)
+   * Gets the names of the classifiers matching a text (for audit events)
+   * @returns {string[]|null} - Classifier names, or null if nothing matched
+   */
+  function getMatchedClassifierNames(text) {
+    const matched = classifyText(text);
+    return matched.length > 0 ? matched.map(result => result.name) : null;
+  }
+
+  /**
+   * Masks every classifier match in a text
+   * Overlapping matches keep the earliest (then highest-priority) classifier
+   * @param {string} text - Text to redact
+   * @returns {{text: string, count: number, kinds: Object}} - Redacted text,
+   *   number of masked values and counts per classifier name
+   */
+  function redactText(text) {
+    const result = { text: text || '', count: 0, kinds: {} };
+    if (!text) {
+      return result;
+    }
+    
+    const matches = [];
+    getActiveClassifiers().forEach((classifier, priority) => {
+      try {
+        findClassifierMatches(classifier, text).forEach(match => {
+          matches.push({ ...match, classifier: classifier, priority: priority });
+        });
+      } catch (error) {
+        console.warn('Classifier failed:', classifier.name, error);
+      }
+    });
+    
+    matches.sort((a, b) => a.start - b.start || a.priority - b.priority);
+    
+    let output = '';
+    let position = 0;
+    matches.forEach(match => {
+      if (match.start < position) {
+        return; // Overlaps a value that is already masked
+      }
+      output += text.slice(position, match.start) + match.classifier.mask(match.value);
+      position = match.end;
+      result.count++;
+      result.kinds[match.classifier.name] = (result.kinds[match.classifier.name] || 0) + 1;
+    });
+    
+    result.text = output + text.slice(position);
+    return result;
+  }
+
+  /**
+   * Masks classifier matches in the text nodes of an HTML clipboard payload
+   * Values split across elements (e.g. table cells) are masked per cell
+   * @param {string} html - HTML payload
+   * @returns {string} - Redacted HTML
+   */
+  function redactHtml(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_TEXT);
+    let node;
+    while ((node = walker.nextNode()) !== null) {
+      const redacted = redactText(node.nodeValue);
+      if (redacted.count > 0) {
+        node.nodeValue = redacted.text;
+      }
+    }
+    return doc.body.innerHTML;
+  }
+
+  /**
+   * Gets the current selection as HTML (fallback when the page set no text/html)
+   */
+  function getSelectionHtml() {
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0) {
+      return '';
+    }
+    const container = document.createElement('div');
+    container.appendChild(selection.getRangeAt(0).cloneContents());
+    return container.innerHTML;
+  }
+
+  /**
+   * Gets the copy/cut mode of the active policy
+   * 'all' blocks every copy, 'sensitive' only blocks payloads a classifier
+   * matches, 'redact' lets the copy through with sensitive values masked
+   */
+  function getCopyMode() {
+    return (activePolicy && activePolicy.copyMode) || 'all';
+  }
+
+  /**
+   * Checks if a copy/cut is decided on its payload rather than blocked outright
+   * The shortcut handlers let such keystrokes through, so the copy/cut event
+   * fires and handleClipboardInspection sees what the page wrote
+   * @param {string} action - Action of the shortcut or event
+   */
+  function isDecidedOnPayload(action) {
+    const copyMode = getCopyMode();
+    return (action === 'copy' || action === 'cut') && (copyMode === 'sensitive' || copyMode === 'redact');
+  }
+
+  // Copy/cut events whose payload is inspected once the page has written it
+  const pendingInspections = new WeakMap();
+
+  /**
+   * Gets the text a copy/cut event is putting on the clipboard
+   * Sheets writes its own clipboardData; plain pages fall back to the selection
    */
-  async function handleCopy(event) {
+  function getClipboardPayload(event) {
+    let text = '';
     try {
-      // Check if protection is enabled
-      if (!isProtectionEnabled()) {
+      text = event.clipboardData ? event.clipboardData.getData('text/plain') : '';
+    } catch (e) {
+      // clipboardData may not be readable
+    }
+    if (!text) {
+      const selection = window.getSelection();
+      text = selection ? selection.toString() : '';
+    }
+    return text;
+  }
+
+  /**
+   * Rewrites a copy/cut payload with sensitive values masked
+   * @param {ClipboardEvent} event - Copy/cut event (after the page's handlers)
+   * @param {string} action - 'copy' or 'cut'
+   */
+  function redactClipboardPayload(event, action) {
+    const plain = getClipboardPayload(event);
+    let html = '';
+    try {
+      html = event.clipboardData ? event.clipboardData.getData('text/html') : '';
+    } catch (e) {
+      // clipboardData may not be readable
+    }
+    if (!html) {
+      html = getSelectionHtml();
+    }
+    
+    const redacted = redactText(plain);
+    if (redacted.count === 0) {
+      // Nothing sensitive - let the copy through untouched
+      return;
+    }
+    
+    const kinds = Object.keys(redacted.kinds);
+    const redactedEvent = {
+      type: 'redacted',
+      action: action,
+      dataPreview: getDataPreview(redacted.text),
+      classifiers: kinds,
+      redactedCount: redacted.count,
+      redactedKinds: redacted.kinds,
+      details: `Redacted ${redacted.count} value${redacted.count === 1 ? '' : 's'} on ${action} (${kinds.map(kind => kind + ': ' + redacted.kinds[kind]).join(', ')})`
+    };
+    
+    // Monitor mode logs what would have been masked and leaves the payload alone
+    if (!logBlockDecision(redactedEvent)) {
+      return;
+    }
+    
+    event.preventDefault();
+    event.clipboardData.setData('text/plain', redacted.text);
+    if (html) {
+      event.clipboardData.setData('text/html', redactHtml(html));
+    }
+    
+    showNotice(t('noticeRedacted'), { info: true });
+  }
+
+  /**
+   * Inspects copy/cut payloads for policies that block or redact sensitive data
+   * Runs in the bubble phase on window, after the page's own copy handler
+   * has filled clipboardData, so the real payload is classified
+   */
+  function handleClipboardInspection(event) {
+    const inspection = pendingInspections.get(event);
+    if (!inspection) {
+      return;
+    }
+    pendingInspections.delete(event);
+    const action = inspection.action;
+    
+    try {
+      if (inspection.mode === 'redact') {
+        // The copy goes through either way, masked or not
+        redactClipboardPayload(event, action);
+        countAllowedClipboardAction(event, action);
         return;
       }
-
-      // Check if copy should be allowed (only from editable elements)
-      if (shouldAllowCopy()) {
-        // Allow - no logging needed for performance
+      
+      const payload = getClipboardPayload(event);
+      const matched = classifyText(payload);
+      if (matched.length === 0) {
+        // Nothing sensitive - let the copy through
+        countAllowedClipboardAction(event, action);
         return;
       }
-
-      // Check for active session (synchronous check first for performance)
-      const cachedSession = hasActiveSessionSync();
-      if (cachedSession === true) {
-        // Allow if session is active - no logging needed
+      
+      const names = matched.map(result => result.name);
+      const blockedEvent = {
+        type: 'blocked',
+        action: action,
+        dataPreview: getDataPreview(payload),
+        classifiers: names,
+        details: `Blocked ${action} of sensitive data (${names.join(', ')})`
+      };
+      if (!logBlockDecision(blockedEvent)) {
         return;
-      } else if (cachedSession === null) {
-        // Cache expired, do async check
-        const hasSession = await hasActiveSession();
-        if (hasSession) {
-          // Allow if session is active - no logging needed
-          return;
-        }
       }
-
-      // Block copy from non-editable areas
-      event.preventDefault();
-      event.stopPropagation();
-      event.stopImmediatePropagation();
       
-      // Clear clipboard data aggressively
+      event.preventDefault();
       if (event.clipboardData) {
         try {
           event.clipboardData.setData('text/plain', '');
@@ -868,32 +2421,640 @@
         }
       }
       
-      // Also try to clear via execCommand (legacy support)
-      try {
-        document.execCommand('copy', false, null);
-      } catch (e) {
-        // Ignore errors
+      if (!offerBreakGlass(action, blockedEvent)) {
+        showBlockNotice(action, t('noticeBlockedSensitiveCopy'));
       }
-      
-      // Log the blocked attempt
-      const cellRange = getCellRange();
-      const selection = window.getSelection();
-      const dataPreview = selection && selection.toString() ? getDataPreview(selection.toString()) : null;
-      
-      logAuditEvent({
-        type: 'blocked',
-        action: 'copy',
-        cellRange: cellRange,
-        dataPreview: dataPreview,
-        details: 'Blocked copy attempt'
-      });
-      
-      // Show warning toast
-      showToast('Copying data from this sheet is restricted.');
-      
-      return false;
     } catch (error) {
-      console.warn('Error in handleCopy:', error);
+      console.warn('Error inspecting clipboard payload:', error);
+    }
+  }
+
+  // ============================================================================
+  // INBOUND PASTE INSPECTION
+  // ============================================================================
+
+  /**
+   * Gets the inbound paste settings of the active policy
+   * @returns {Object|null} - { mode, classifiers }, or null if pastes aren't inspected here
+   */
+  function getPasteInspectionConfig() {
+    const config = activePolicy && activePolicy.pasteInspection;
+    if (!isProtectionEnabled() || !config || !config.mode || config.mode === 'off') {
+      return null;
+    }
+    return config;
+  }
+
+  /**
+   * Lists matched classifiers for the user; built-ins use their catalog names
+   * (logs keep the English names)
+   * @param {Object[]} matched - Results of classifyText()
+   */
+  function formatClassifierNames(matched) {
+    const names = matched.map(result => chrome.i18n.getMessage('classifier_' + result.id) || result.name);
+    return new Intl.ListFormat(UI_LOCALE, { type: 'conjunction' }).format(names);
+  }
+
+  /**
+   * Runs a paste's payload through the policy's paste classifiers and
+   * blocks, warns or logs when regulated data is coming in.
+   * Applies to every paste - into cells, during sessions, and when the
+   * 'paste' action itself isn't enforced.
+   * @param {ClipboardEvent} event - The paste event
+   * @returns {boolean} - True if the paste was blocked
+   */
+  function inspectPaste(event) {
+    const config = getPasteInspectionConfig();
+    if (!config || !event.clipboardData) {
+      return false;
+    }
+    
+    let text = '';
+    try {
+      text = event.clipboardData.getData('text/plain');
+      const html = text ? '' : event.clipboardData.getData('text/html');
+      if (html) {
+        text = new DOMParser().parseFromString(html, 'text/html').body.textContent;
+      }
+    } catch (error) {
+      // clipboardData may not be readable
+    }
+    
+    const matched = classifyText(text, config.classifiers);
+    if (matched.length === 0) {
+      return false;
+    }
+    
+    const names = matched.map(result => result.name);
+    const eventData = {
+      action: 'paste',
+      dataPreview: getDataPreview(text),
+      classifiers: names,
+      pasteInspection: config.mode
+    };
+    
+    if (config.mode === 'block') {
+      if (!logBlockDecision(Object.assign({
+        type: 'blocked',
+        details: `Blocked paste of sensitive data (${names.join(', ')})`
+      }, eventData))) {
+        return false;
+      }
+      event.preventDefault();
+      event.stopPropagation();
+      event.stopImmediatePropagation();
+      showBlockNotice('paste', t('noticeBlockedSensitivePaste'));
+      return true;
+    }
+    
+    logAuditEvent(Object.assign({
+      type: 'allowed',
+      details: `Pasted sensitive data (${names.join(', ')})` + (config.mode === 'warn' ? ' after a warning' : '')
+    }, eventData));
+    countAllowedClipboardAction(event, 'paste', true);
+    if (config.mode === 'warn' && !isMonitorMode()) {
+      showNotice(t('noticePasteWarning', formatClassifierNames(matched)), { info: true });
+    }
+    return false;
+  }
+
+  // ============================================================================
+  // JUSTIFICATION DIALOG
+  // ============================================================================
+
+  const JUSTIFICATION_DIALOG_ID = 'sheets-protection-justification';
+  const MIN_JUSTIFICATION_LENGTH = 10;
+  const CLIPBOARD_ALLOWANCE_MS = 10000; // a justified copy must happen right away
+  
+  // One-shot pass for a copy/cut re-run after a justification
+  // scope: 'largeSelection' (skips the cell limit) or 'breakGlass' (skips every check)
+  let clipboardAllowance = null;
+
+  /**
+   * Checks if an event comes from the extension's own dialog or notice, which the
+   * protection listeners must not block (typing a justification, the request form)
+   */
+  function isOwnUiEvent(event) {
+    const pageDocument = getPageDocument();
+    return [JUSTIFICATION_DIALOG_ID, NOTICE_HOST_ID].some(function(id) {
+      const host = pageDocument.getElementById(id);
+      return !!host && event.target === host;
+    });
+  }
+
+  /**
+   * Wraps a protection listener so it ignores events from the extension's own UI
+   */
+  function unlessOwnUi(handler) {
+    return function(event) {
+      if (isOwnUiEvent(event)) {
+        return;
+      }
+      return handler(event);
+    };
+  }
+
+  /**
+   * Uses up the one-shot pass if it matches this copy/cut
+   * @returns {boolean} - True if the pass applied
+   */
+  function consumeClipboardAllowance(action, scope) {
+    const allowance = clipboardAllowance;
+    if (!allowance || allowance.action !== action || allowance.scope !== scope) {
+      return false;
+    }
+    clipboardAllowance = null;
+    return allowance.expiresAt > Date.now();
+  }
+
+  /**
+   * Re-runs a justified copy/cut from where it started, with a one-shot pass
+   * @param {string} action - 'copy' or 'cut'
+   * @param {string} scope - What the pass skips (see clipboardAllowance)
+   * @param {Element} focusedElement - Element focused when the copy was blocked
+   */
+  function rerunClipboardAction(action, scope, focusedElement) {
+    clipboardAllowance = { action: action, scope: scope, expiresAt: Date.now() + CLIPBOARD_ALLOWANCE_MS };
+    try {
+      if (focusedElement && focusedElement.focus) {
+        focusedElement.focus();
+      }
+      // The page-context hooks would drop what the page's copy handler writes,
+      // so they run the command themselves (see handlePageHooksMessage)
+      if (pageHooksPort) {
+        pageHooksPort.postMessage({ type: 'rerun', action: action });
+      } else if (!document.execCommand(action)) {
+        showNotice(t('noticeRetryShortcut'), { info: true });
+      }
+    } catch (e) {
+      showNotice(t('noticeRetryShortcut'), { info: true });
+    }
+  }
+
+  /**
+   * Asks the user why they need to do something before it is allowed
+   * The dialog lives in a closed shadow root on the page (top) document
+   * @param {Object} options - { title, message, confirmLabel }
+   * @returns {Promise<string|null>} - The justification, or null if cancelled
+   */
+  function requestJustification(options) {
+    return new Promise(function(resolve) {
+      try {
+        const pageDocument = getPageDocument();
+        const existing = pageDocument.getElementById(JUSTIFICATION_DIALOG_ID);
+        if (existing) {
+          existing.remove();
+        }
+        
+        const host = pageDocument.createElement('div');
+        host.id = JUSTIFICATION_DIALOG_ID;
+        host.style.cssText = 'position: fixed !important; inset: 0 !important; z-index: 2147483647 !important;';
+        const root = host.attachShadow({ mode: 'closed' });
+        
+        root.innerHTML = `
+          <style>
+            .backdrop {
+              position: fixed;
+              inset: 0;
+              display: flex;
+              align-items: center;
+              justify-content: center;
+              background: rgba(0, 0, 0, 0.4);
+              font-family: Roboto, Arial, sans-serif;
+            }
+            .dialog {
+              width: 420px;
+              max-width: calc(100vw - 40px);
+              padding: 20px 24px;
+              border-radius: 8px;
+              background: #fff;
+              color: #202124;
+              box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3);
+            }
+            h2 { margin: 0 0 8px; font-size: 18px; font-weight: 500; }
+            p { margin: 0 0 12px; font-size: 14px; color: #5f6368; }
+            textarea {
+              box-sizing: border-box;
+              width: 100%;
+              min-height: 80px;
+              padding: 8px;
+              border: 1px solid #dadce0;
+              border-radius: 4px;
+              font: 14px Roboto, Arial, sans-serif;
+              resize: vertical;
+            }
+            .hint { margin-top: 4px; font-size: 12px; color: #5f6368; }
+            .buttons { display: flex; justify-content: flex-end; gap: 8px; margin-top: 16px; }
+            button {
+              padding: 8px 16px;
+              border-radius: 4px;
+              font-size: 14px;
+              cursor: pointer;
+            }
+            .cancel { border: 1px solid #dadce0; background: #fff; color: #1a73e8; }
+            .confirm { border: none; background: #1a73e8; color: #fff; }
+            .confirm:disabled { background: #dadce0; cursor: default; }
+          </style>
+          <div class="backdrop">
+            <div class="dialog" role="dialog" aria-modal="true">
+              <h2></h2>
+              <p></p>
+              <textarea placeholder="${t('dialogReasonPlaceholder')}"></textarea>
+              <div class="hint">${t('dialogMinLength', NUMBER_FORMAT.format(MIN_JUSTIFICATION_LENGTH))}</div>
+              <div class="buttons">
+                <button type="button" class="cancel">${t('commonCancel')}</button>
+                <button type="button" class="confirm" disabled></button>
+              </div>
+            </div>
+          </div>
+        `;
+        root.querySelector('h2').textContent = options.title;
+        root.querySelector('p').textContent = options.message;
+        
+        const textarea = root.querySelector('textarea');
+        const confirmButton = root.querySelector('.confirm');
+        confirmButton.textContent = options.confirmLabel || t('dialogContinue');
+        
+        let settled = false;
+        function close(justification) {
+          if (settled) return;
+          settled = true;
+          host.remove();
+          resolve(justification);
+        }
+        
+        textarea.addEventListener('input', function() {
+          confirmButton.disabled = textarea.value.trim().length < MIN_JUSTIFICATION_LENGTH;
+        });
+        confirmButton.addEventListener('click', function() {
+          close(textarea.value.trim());
+        });
+        root.querySelector('.cancel').addEventListener('click', function() {
+          close(null);
+        });
+        
+        // Keep the page's own shortcut and clipboard handlers out of the dialog
+        ['keydown', 'keypress', 'keyup', 'copy', 'cut', 'paste'].forEach(function(type) {
+          host.addEventListener(type, function(event) {
+            if (event.type === 'keydown' && event.key === 'Escape') {
+              close(null);
+            }
+            event.stopPropagation();
+          });
+        });
+        
+        pageDocument.documentElement.appendChild(host);
+        textarea.focus();
+      } catch (error) {
+        console.warn('Failed to show justification dialog:', error);
+        resolve(null);
+      }
+    });
+  }
+
+  // ============================================================================
+  // LARGE-SELECTION GUARD
+  // ============================================================================
+
+  /**
+   * Gets the large-selection settings of the active policy
+   * @returns {Object|null} - { maxCells, action }, or null if not enabled here
+   */
+  function getLargeSelectionConfig() {
+    if (!isProtectionEnabled() || !activePolicy || !activePolicy.largeSelection || !activePolicy.largeSelection.enabled) {
+      return null;
+    }
+    return activePolicy.largeSelection;
+  }
+
+  /**
+   * Describes a selection's size for logs (always English, like all audit details)
+   */
+  function describeSelectionSize(gridSelection) {
+    if (gridSelection.unbounded) {
+      return 'whole rows/columns';
+    }
+    return gridSelection.cellCount === null ? 'unknown size' : gridSelection.cellCount + ' cells';
+  }
+
+  /**
+   * Describes a selection's size for the user, in the UI language
+   */
+  function formatSelectionSize(gridSelection) {
+    if (gridSelection.unbounded) {
+      return t('selectionWholeRows');
+    }
+    return gridSelection.cellCount === null ? t('selectionUnknownSize') : formatCells(gridSelection.cellCount);
+  }
+
+  /**
+   * Applies the policy's cell limit to a copy/cut of the grid selection.
+   * Runs before session checks - approved sessions don't lift the limit.
+   * Every decision is logged with the cell count.
+   * @param {Event} event - The copy or cut event
+   * @param {string} action - 'copy' or 'cut'
+   * @returns {boolean} - True if the event was blocked
+   */
+  function enforceLargeSelectionGuard(event, action) {
+    const config = getLargeSelectionConfig();
+    // Copying text out of an input (Name Box, find bar) isn't a grid copy
+    const target = event.target;
+    if (!config || !adapter.getGridSelection ||
+        (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA'))) {
+      return false;
+    }
+    
+    let gridSelection = null;
+    try {
+      gridSelection = adapter.getGridSelection();
+    } catch (error) {
+      // The grid markup changed - nothing to measure
+    }
+    if (!gridSelection) {
+      return false;
+    }
+    
+    const maxCells = Number(config.maxCells) || 0;
+    const selectionFields = {
+      cellRange: gridSelection.range,
+      sheetName: gridSelection.sheetName,
+      cellCount: gridSelection.cellCount,
+      maxCells: maxCells
+    };
+    // Whole rows/columns and named ranges can't be measured - treat them as too large
+    const tooLarge = gridSelection.unbounded || gridSelection.cellCount === null || gridSelection.cellCount > maxCells;
+    
+    if (!tooLarge) {
+      logAuditEvent(Object.assign({
+        type: 'allowed',
+        action: action,
+        details: `Copy of ${describeSelectionSize(gridSelection)} within the ${maxCells}-cell limit`
+      }, selectionFields));
+      countAllowedClipboardAction(event, action, true);
+      return false;
+    }
+    
+    // One-shot pass for the copy re-run after a justification (logged as 'allowed')
+    if (consumeClipboardAllowance(action, 'largeSelection')) {
+      countAllowedClipboardAction(event, action, true);
+      return false;
+    }
+    
+    // Monitor mode logs the over-limit copy and lets it continue
+    if (isMonitorMode()) {
+      logAuditEvent(Object.assign({
+        type: 'blocked',
+        action: action,
+        details: `Blocked ${action} of ${describeSelectionSize(gridSelection)} (limit ${maxCells})`
+      }, selectionFields));
+      return false;
+    }
+    
+    event.preventDefault();
+    event.stopPropagation();
+    event.stopImmediatePropagation();
+    if (event.clipboardData) {
+      try {
+        event.clipboardData.setData('text/plain', '');
+        event.clipboardData.setData('text/html', '');
+      } catch (e) {
+        // Some browsers may restrict clipboard access
+      }
+    }
+    
+    // Asking for a reason is pointless when the copy is going to be blocked anyway
+    const blockedAnyway = isActionEnforced(action) && getCopyMode() === 'all' && !hasActiveSession(action);
+    
+    if (config.action !== 'justify' || blockedAnyway) {
+      logAuditEvent(Object.assign({
+        type: 'blocked',
+        action: action,
+        details: `Blocked ${action} of ${describeSelectionSize(gridSelection)} (limit ${maxCells})`
+      }, selectionFields));
+      showBlockNotice(action, t('noticeBlockedLargeSelection', NUMBER_FORMAT.format(maxCells)));
+      return true;
+    }
+    
+    const focusedElement = document.activeElement;
+    requestJustification({
+      title: t('largeSelectionTitle'),
+      message: t('largeSelectionMessage', [formatSelectionSize(gridSelection), NUMBER_FORMAT.format(maxCells)]),
+      confirmLabel: t(action === 'cut' ? 'actionCut' : 'actionCopy')
+    }).then(function(justification) {
+      if (!justification) {
+        logAuditEvent(Object.assign({
+          type: 'blocked',
+          action: action,
+          details: `Large ${action} of ${describeSelectionSize(gridSelection)} cancelled at justification (limit ${maxCells})`
+        }, selectionFields));
+        return;
+      }
+      
+      logAuditEvent(Object.assign({
+        type: 'allowed',
+        action: action,
+        justification: justification,
+        details: `Justified ${action} of ${describeSelectionSize(gridSelection)} over the ${maxCells}-cell limit`
+      }, selectionFields));
+      
+      rerunClipboardAction(action, 'largeSelection', focusedElement);
+    });
+    
+    return true;
+  }
+
+  // ============================================================================
+  // BREAK-GLASS COPY
+  // ============================================================================
+
+  /**
+   * Checks if the active policy lets users justify their way past a copy block
+   * Lockdowns can't be broken
+   */
+  function isBreakGlassEnabled() {
+    return isProtectionEnabled() && !!activePolicy && activePolicy.breakGlass === true && !isLockedDown();
+  }
+
+  /**
+   * Offers a justification dialog instead of the block notice. On confirm the
+   * copy is re-run once and a break_glass event records the justification
+   * (the cell range is added by logAuditEvent)
+   * @param {string} action - 'copy' or 'cut'
+   * @param {Object} blockedEvent - Fields of the blocked event (dataPreview, classifiers)
+   * @returns {boolean} - True if the dialog was shown (the caller skips its notice)
+   */
+  function offerBreakGlass(action, blockedEvent) {
+    if (!isBreakGlassEnabled()) {
+      return false;
+    }
+    
+    const focusedElement = document.activeElement;
+    requestJustification({
+      title: t('breakGlassTitle'),
+      message: t('breakGlassMessage'),
+      confirmLabel: t(action === 'cut' ? 'breakGlassCutOnce' : 'breakGlassCopyOnce')
+    }).then(function(justification) {
+      if (!justification) {
+        return;
+      }
+      
+      logAuditEvent({
+        type: 'break_glass',
+        action: action,
+        justification: justification,
+        dataPreview: blockedEvent.dataPreview || null,
+        classifiers: blockedEvent.classifiers || null,
+        details: `Break-glass ${action}`
+      });
+      rerunClipboardAction(action, 'breakGlass', focusedElement);
+    });
+    
+    return true;
+  }
+
+  // ============================================================================
+  // COPY/PASTE EVENT BLOCKING
+  // ============================================================================
+
+  /**
+   * Checks if copy should be allowed from the current context
+   * @returns {boolean} - True if copy should be allowed
+   */
+  function shouldAllowCopy() {
+    try {
+      // Check if there's an active selection
+      if (window.getSelection) {
+        const selection = window.getSelection();
+        if (selection && selection.rangeCount > 0) {
+          const range = selection.getRangeAt(0);
+          const container = range.commonAncestorContainer;
+          let node = container.nodeType === 1 ? container : container.parentNode;
+          
+          // Check if selection is within an editable element
+          while (node && node !== document.body && node !== document.documentElement) {
+            if (adapter.isEditableElement(node)) {
+              // Check if the entire selection is within this editable element
+              const editableRect = node.getBoundingClientRect();
+              const rangeRect = range.getBoundingClientRect();
+              
+              // Allow if selection is completely within the editable element
+              if (rangeRect.left >= editableRect.left &&
+                  rangeRect.right <= editableRect.right &&
+                  rangeRect.top >= editableRect.top &&
+                  rangeRect.bottom <= editableRect.bottom) {
+                return true;
+              }
+            }
+            node = node.parentNode;
+          }
+        }
+      }
+      
+      // Check active element
+      const activeElement = document.activeElement;
+      if (adapter.isEditableElement(activeElement)) {
+        // Only allow if we're copying text that's actually selected within the input
+        if (activeElement.tagName === 'INPUT' || activeElement.tagName === 'TEXTAREA') {
+          const start = activeElement.selectionStart;
+          const end = activeElement.selectionEnd;
+          // Allow if there's a selection within the input field itself
+          if (start !== null && end !== null && start !== end) {
+            return true;
+          }
+        }
+      }
+      
+      return false;
+    } catch (error) {
+      console.warn('Error checking copy allowance:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Blocks copy events (including menu actions)
+   */
+  function handleCopy(event) {
+    try {
+      // A justified break-glass copy goes through once
+      if (consumeClipboardAllowance('copy', 'breakGlass')) {
+        return;
+      }
+
+      // Cell limit applies even when copy isn't enforced or a session is active
+      if (enforceLargeSelectionGuard(event, 'copy')) {
+        return false;
+      }
+
+      // Check if copy is enforced for this sheet
+      if (!isActionEnforced('copy')) {
+        countAllowedClipboardAction(event, 'copy');
+        return;
+      }
+
+      // Check if copy should be allowed (only from editable elements)
+      if (shouldAllowCopy()) {
+        // Allow - no logging needed for performance
+        return;
+      }
+
+      // Check for active session
+      if (hasActiveSession('copy')) {
+        // Allow if session is active - counted, not logged
+        countAllowedClipboardAction(event, 'copy');
+        return;
+      }
+
+      // "Block only if sensitive" / redact - decide once the payload is known
+      const copyMode = getCopyMode();
+      if (copyMode === 'sensitive' || copyMode === 'redact') {
+        pendingInspections.set(event, { action: 'copy', mode: copyMode });
+        return;
+      }
+
+      // Log the blocked attempt (monitor mode stops here and lets it through)
+      const selection = window.getSelection();
+      const blockedEvent = {
+        type: 'blocked',
+        action: 'copy',
+        dataPreview: selection && selection.toString() ? getDataPreview(selection.toString()) : null,
+        classifiers: selection ? getMatchedClassifierNames(selection.toString()) : null,
+        details: 'Blocked copy attempt'
+      };
+      if (!logBlockDecision(blockedEvent)) {
+        return;
+      }
+
+      // Block copy from non-editable areas
+      event.preventDefault();
+      event.stopPropagation();
+      event.stopImmediatePropagation();
+      
+      // Clear clipboard data aggressively
+      if (event.clipboardData) {
+        try {
+          event.clipboardData.setData('text/plain', '');
+          event.clipboardData.setData('text/html', '');
+        } catch (e) {
+          // Some browsers may restrict clipboard access
+        }
+      }
+      
+      // Also try to clear via execCommand (legacy support)
+      try {
+        document.execCommand('copy', false, null);
+      } catch (e) {
+        // Ignore errors
+      }
+      
+      // Offer break-glass if the policy allows it, otherwise show the block notice
+      if (!offerBreakGlass('copy', blockedEvent)) {
+        showBlockNotice('copy');
+      }
+      
+      return false;
+    } catch (error) {
+      console.warn('Error in handleCopy:', error);
       // Even on error, try to block
       try {
         event.preventDefault();
@@ -905,127 +3066,513 @@
   }
 
   /**
-   * Blocks cut events
+   * Blocks cut events
+   */
+  function handleCut(event) {
+    try {
+      // A justified break-glass cut goes through once
+      if (consumeClipboardAllowance('cut', 'breakGlass')) {
+        return;
+      }
+
+      // Cell limit applies even when cut isn't enforced or a session is active
+      if (enforceLargeSelectionGuard(event, 'cut')) {
+        return false;
+      }
+
+      // Check if cut is enforced for this sheet
+      if (!isActionEnforced('cut')) {
+        countAllowedClipboardAction(event, 'cut');
+        return;
+      }
+
+      // Allow cut from editable elements (for normal editing)
+      if (adapter.isEditableElement(event.target)) {
+        // Allow - no logging needed for performance
+        return;
+      }
+
+      // Check for active session
+      if (hasActiveSession('cut')) {
+        // Allow if session is active - counted, not logged
+        countAllowedClipboardAction(event, 'cut');
+        return;
+      }
+
+      // "Block only if sensitive" / redact - decide once the payload is known
+      const copyMode = getCopyMode();
+      if (copyMode === 'sensitive' || copyMode === 'redact') {
+        pendingInspections.set(event, { action: 'cut', mode: copyMode });
+        return;
+      }
+
+      // Log the blocked attempt (monitor mode stops here and lets it through)
+      const selection = window.getSelection();
+      const blockedEvent = {
+        type: 'blocked',
+        action: 'cut',
+        dataPreview: selection && selection.toString() ? getDataPreview(selection.toString()) : null,
+        classifiers: selection ? getMatchedClassifierNames(selection.toString()) : null,
+        details: 'Blocked cut attempt'
+      };
+      if (!logBlockDecision(blockedEvent)) {
+        return;
+      }
+
+      // Block cut from non-editable areas
+      event.preventDefault();
+      event.stopPropagation();
+      event.stopImmediatePropagation();
+      
+      // Clear clipboard data
+      if (event.clipboardData) {
+        event.clipboardData.clearData();
+      }
+      
+      // Offer break-glass if the policy allows it, otherwise show the block notice
+      if (!offerBreakGlass('cut', blockedEvent)) {
+        showBlockNotice('cut');
+      }
+      
+      return false;
+    } catch (error) {
+      console.warn('Error in handleCut:', error);
+    }
+  }
+
+  /**
+   * Blocks paste events (optional, but preferred per requirements)
+   */
+  function handlePaste(event) {
+    try {
+      // Inbound DLP runs for every paste, including into cells
+      if (inspectPaste(event)) {
+        return false;
+      }
+
+      // Check if paste is enforced for this sheet
+      if (!isActionEnforced('paste')) {
+        countAllowedClipboardAction(event, 'paste');
+        return;
+      }
+
+      // Allow paste into editable elements (for normal editing)
+      if (adapter.isEditableElement(event.target)) {
+        // Allow - no logging needed for performance
+        return;
+      }
+
+      // Check for active session
+      if (hasActiveSession('paste')) {
+        // Allow if session is active - counted, not logged
+        countAllowedClipboardAction(event, 'paste');
+        return;
+      }
+
+      // Log the blocked attempt (monitor mode stops here and lets it through)
+      if (!logBlockDecision({
+        type: 'blocked',
+        action: 'paste',
+        details: 'Blocked paste attempt'
+      })) {
+        return;
+      }
+      
+      // Block paste into non-editable areas
+      event.preventDefault();
+      event.stopPropagation();
+      event.stopImmediatePropagation();
+      
+      showBlockNotice('paste');
+      
+      return false;
+    } catch (error) {
+      console.warn('Error in handlePaste:', error);
+    }
+  }
+
+  // ============================================================================
+  // WATERMARK OVERLAY
+  // ============================================================================
+
+  const WATERMARK_ID = 'sheets-protection-watermark';
+  const DEFAULT_WATERMARK_TEMPLATE = '{user} · {date} {time} · {sheet}';
+  const DEFAULT_WATERMARK_OPACITY = 0.12;
+  const WATERMARK_TILE_WIDTH = 320;
+  const WATERMARK_TILE_HEIGHT = 160;
+  const WATERMARK_REFRESH_INTERVAL = 60000; // keep the time current
+  
+  // Host styles are inline and !important so page CSS cannot hide the overlay
+  const WATERMARK_HOST_STYLE = [
+    'position: fixed !important',
+    'inset: 0 !important',
+    'display: block !important',
+    'visibility: visible !important',
+    'pointer-events: none !important',
+    'z-index: 2147483646 !important',
+    'overflow: hidden !important',
+    'margin: 0 !important',
+    'padding: 0 !important'
+  ].join('; ');
+  
+  let userEmail = null;
+  let watermarkHost = null;
+  let watermarkRoot = null;
+  let watermarkConfig = null;
+  let watermarkObserver = null;
+  let watermarkTimer = null;
+  let watermarkHostStyle = ''; // cssText as normalized by the browser
+
+  /**
+   * Loads the signed-in user's email from the background (for the watermark)
+   */
+  function loadUserEmail() {
+    try {
+      chrome.runtime.sendMessage({ action: 'getUserEmail' }, function(response) {
+        if (chrome.runtime.lastError) {
+          return;
+        }
+        if (response && response.email && response.email !== 'Not available') {
+          userEmail = response.email;
+          updateWatermark();
+        }
+      });
+    } catch (error) {
+      console.warn('Error loading user email:', error);
+    }
+  }
+
+  /**
+   * Gets the watermark settings of the active policy
+   * @returns {Object|null} - Watermark settings, or null if not enabled here
+   */
+  function getWatermarkConfig() {
+    if (!isProtectionEnabled() || !activePolicy || !activePolicy.watermark || !activePolicy.watermark.enabled) {
+      return null;
+    }
+    return activePolicy.watermark;
+  }
+
+  /**
+   * Fills in the watermark text template
+   * Placeholders: {user} (email, else user ID), {email}, {userId}, {date}, {time}, {sheet}
+   */
+  function renderWatermarkText(template) {
+    const now = new Date();
+    const resourceId = currentResource.resourceId || '';
+    const values = {
+      user: userEmail || userId || t('watermarkUnknownUser'),
+      email: userEmail || '',
+      userId: userId || '',
+      date: new Intl.DateTimeFormat(UI_LOCALE, { dateStyle: 'medium' }).format(now),
+      time: new Intl.DateTimeFormat(UI_LOCALE, { timeStyle: 'short' }).format(now),
+      sheet: resourceId.substring(0, 8)
+    };
+    return (template || DEFAULT_WATERMARK_TEMPLATE).replace(/\{(\w+)\}/g, function(match, name) {
+      return Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match;
+    });
+  }
+
+  /**
+   * Renders the tiled watermark text into the overlay's shadow root
+   */
+  function renderWatermarkTiles() {
+    if (!watermarkRoot || !watermarkConfig) {
+      return;
+    }
+    
+    const text = renderWatermarkText(watermarkConfig.template);
+    const columns = Math.ceil(window.innerWidth / WATERMARK_TILE_WIDTH) + 1;
+    const rows = Math.ceil(window.innerHeight / WATERMARK_TILE_HEIGHT) + 1;
+    const opacity = Number(watermarkConfig.opacity) || DEFAULT_WATERMARK_OPACITY;
+    
+    const style = document.createElement('style');
+    style.textContent = `
+      .tile {
+        position: absolute;
+        width: ${WATERMARK_TILE_WIDTH}px;
+        text-align: center;
+        transform: rotate(-30deg);
+        font: 14px Roboto, Arial, sans-serif;
+        color: #000;
+        opacity: ${opacity};
+        white-space: nowrap;
+        user-select: none;
+      }
+    `;
+    
+    const fragment = document.createDocumentFragment();
+    fragment.appendChild(style);
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        const tile = document.createElement('div');
+        tile.className = 'tile';
+        tile.textContent = text;
+        // Offset every other row so the pattern is harder to crop around
+        tile.style.left = (column * WATERMARK_TILE_WIDTH - (row % 2) * WATERMARK_TILE_WIDTH / 2) + 'px';
+        tile.style.top = (row * WATERMARK_TILE_HEIGHT + WATERMARK_TILE_HEIGHT / 2) + 'px';
+        fragment.appendChild(tile);
+      }
+    }
+    
+    watermarkRoot.replaceChildren(fragment);
+  }
+
+  /**
+   * Creates (or re-creates) the overlay element
+   * The text lives in a closed shadow root so page CSS and scripts cannot reach it
+   */
+  function injectWatermark() {
+    if (watermarkHost) {
+      watermarkHost.remove();
+    }
+    
+    watermarkHost = document.createElement('div');
+    watermarkHost.id = WATERMARK_ID;
+    watermarkHost.setAttribute('aria-hidden', 'true');
+    watermarkHost.style.cssText = WATERMARK_HOST_STYLE;
+    watermarkHostStyle = watermarkHost.style.cssText;
+    watermarkRoot = watermarkHost.attachShadow({ mode: 'closed' });
+    renderWatermarkTiles();
+    
+    document.documentElement.appendChild(watermarkHost);
+    
+    if (watermarkObserver) {
+      watermarkObserver.observe(watermarkHost, { attributes: true });
+    }
+  }
+
+  /**
+   * Tamper resistance: puts the overlay back if it is removed or restyled
    */
-  async function handleCut(event) {
-    try {
-      // Check if protection is enabled
-      if (!isProtectionEnabled()) {
+  function ensureWatermarkObserver() {
+    if (watermarkObserver) {
+      return;
+    }
+    
+    watermarkObserver = new MutationObserver(function() {
+      if (!watermarkConfig) {
         return;
       }
-
-      const target = event.target;
       
-      // Allow cut from editable elements (for normal editing)
-      if (target && (
-        target.tagName === 'INPUT' ||
-        target.tagName === 'TEXTAREA' ||
-        target.isContentEditable
-      )) {
-        // Allow - no logging needed for performance
-        return;
+      const removed = !watermarkHost || !watermarkHost.isConnected;
+      const restyled = watermarkHost && (
+        watermarkHost.style.cssText !== watermarkHostStyle ||
+        watermarkHost.hidden ||
+        watermarkHost.getAttribute('class')
+      );
+      
+      if (removed || restyled) {
+        injectWatermark();
       }
+    });
+    
+    watermarkObserver.observe(document.documentElement, { childList: true });
+  }
 
-      // Check for active session (synchronous check first for performance)
-      const cachedSession = hasActiveSessionSync();
-      if (cachedSession === true) {
-        // Allow if session is active - no logging needed
+  /**
+   * Shows, refreshes or removes the watermark for the current policy
+   */
+  function updateWatermark() {
+    try {
+      // One overlay per tab - frames inside the page don't need their own
+      if (window !== window.top) {
         return;
-      } else if (cachedSession === null) {
-        // Cache expired, do async check
-        const hasSession = await hasActiveSession();
-        if (hasSession) {
-          // Allow if session is active - no logging needed
-          return;
-        }
       }
-
-      // Block cut from non-editable areas
-      event.preventDefault();
-      event.stopPropagation();
-      event.stopImmediatePropagation();
       
-      // Clear clipboard data
-      if (event.clipboardData) {
-        event.clipboardData.clearData();
-      }
+      watermarkConfig = getWatermarkConfig();
       
-      // Log the blocked attempt
-      const cellRange = getCellRange();
-      const selection = window.getSelection();
-      const dataPreview = selection && selection.toString() ? getDataPreview(selection.toString()) : null;
+      if (!watermarkConfig) {
+        if (watermarkHost) {
+          watermarkHost.remove();
+          watermarkHost = null;
+          watermarkRoot = null;
+        }
+        if (watermarkTimer) {
+          clearInterval(watermarkTimer);
+          watermarkTimer = null;
+        }
+        return;
+      }
       
-      logAuditEvent({
-        type: 'blocked',
-        action: 'cut',
-        cellRange: cellRange,
-        dataPreview: dataPreview,
-        details: 'Blocked cut attempt'
-      });
+      if (!watermarkHost || !watermarkHost.isConnected) {
+        injectWatermark();
+      } else {
+        renderWatermarkTiles();
+      }
       
-      // Show warning toast
-      showToast('Copying data from this sheet is restricted.');
+      ensureWatermarkObserver();
       
-      return false;
+      if (!watermarkTimer) {
+        watermarkTimer = setInterval(renderWatermarkTiles, WATERMARK_REFRESH_INTERVAL);
+      }
     } catch (error) {
-      console.warn('Error in handleCut:', error);
+      console.warn('Error updating watermark:', error);
     }
   }
 
+  // ============================================================================
+  // PRIVACY BLUR
+  // ============================================================================
+
+  const PRIVACY_BLURRED_ATTRIBUTE = 'data-sheets-protection-blurred';
+  const PRIVACY_IDLE_CHECK_INTERVAL = 5000;
+  
+  let privacyBlurredAt = 0;
+  let privacyBlurTrigger = null;
+  let lastActivityAt = Date.now();
+  let privacyIdleTimer = null;
+
   /**
-   * Blocks paste events (optional, but preferred per requirements)
+   * Gets the privacy blur settings of the active policy
+   * @returns {Object|null} - Blur settings, or null if not enabled here
    */
-  async function handlePaste(event) {
-    try {
-      // Check if protection is enabled
-      if (!isProtectionEnabled()) {
-        return;
-      }
+  function getPrivacyBlurConfig() {
+    if (!isProtectionEnabled() || !activePolicy || !activePolicy.privacyBlur || !activePolicy.privacyBlur.enabled) {
+      return null;
+    }
+    return activePolicy.privacyBlur;
+  }
 
-      const target = event.target;
-      
-      // Allow paste into editable elements (for normal editing)
-      if (target && (
-        target.tagName === 'INPUT' ||
-        target.tagName === 'TEXTAREA' ||
-        target.isContentEditable
-      )) {
-        // Allow - no logging needed for performance
-        return;
+  /**
+   * Checks if the sheet is currently blurred
+   */
+  function isPrivacyBlurred() {
+    return document.documentElement.hasAttribute(PRIVACY_BLURRED_ATTRIBUTE);
+  }
+
+  /**
+   * Blurs the sheet and logs why
+   * @param {string} trigger - 'hidden', 'focus' or 'idle'
+   */
+  function applyPrivacyBlur(trigger) {
+    if (!getPrivacyBlurConfig() || isPrivacyBlurred()) {
+      return;
+    }
+    
+    document.documentElement.setAttribute(PRIVACY_BLURRED_ATTRIBUTE, '');
+    privacyBlurredAt = Date.now();
+    privacyBlurTrigger = trigger;
+    
+    logAuditEvent({
+      type: 'privacy_blur',
+      action: 'blur',
+      trigger: trigger,
+      details: `Sheet blurred (${trigger === 'hidden' ? 'tab hidden' : trigger === 'focus' ? 'window lost focus' : 'idle'})`
+    });
+  }
+
+  /**
+   * Reveals the sheet and logs how long it was hidden
+   */
+  function revealPrivacyBlur() {
+    if (!isPrivacyBlurred()) {
+      return;
+    }
+    
+    document.documentElement.removeAttribute(PRIVACY_BLURRED_ATTRIBUTE);
+    lastActivityAt = Date.now();
+    const blurredForMs = privacyBlurredAt ? lastActivityAt - privacyBlurredAt : 0;
+    
+    logAuditEvent({
+      type: 'privacy_reveal',
+      action: 'reveal',
+      trigger: privacyBlurTrigger,
+      blurredAt: privacyBlurredAt,
+      blurredForMs: blurredForMs,
+      details: `Sheet revealed after ${Math.round(blurredForMs / 1000)}s blurred`
+    });
+    
+    privacyBlurredAt = 0;
+    privacyBlurTrigger = null;
+  }
+
+  /**
+   * Blurs when the tab is hidden (switching tabs, minimizing)
+   */
+  function handlePrivacyVisibilityChange() {
+    const config = getPrivacyBlurConfig();
+    if (config && config.onHidden && document.visibilityState === 'hidden') {
+      applyPrivacyBlur('hidden');
+    }
+  }
+
+  /**
+   * Blurs when the window loses focus (another window or a screen-share picker)
+   */
+  function handlePrivacyWindowBlur() {
+    const config = getPrivacyBlurConfig();
+    if (!config || !config.onBlur) {
+      return;
+    }
+    
+    // Focus moving into one of the page's own frames is not leaving the sheet
+    setTimeout(function() {
+      const active = document.activeElement;
+      if (!document.hasFocus() && !(active && active.tagName === 'IFRAME')) {
+        applyPrivacyBlur('focus');
       }
+    }, 0);
+  }
 
-      // Check for active session (synchronous check first for performance)
-      const cachedSession = hasActiveSessionSync();
-      if (cachedSession === true) {
-        // Allow if session is active - no logging needed
+  /**
+   * Records user activity for the idle timer
+   */
+  function handlePrivacyActivity() {
+    lastActivityAt = Date.now();
+  }
+
+  /**
+   * Click-to-reveal: the click only reveals, it never reaches the hidden grid
+   */
+  function handlePrivacyRevealClick(event) {
+    if (!isPrivacyBlurred()) {
+      return;
+    }
+    
+    event.preventDefault();
+    event.stopPropagation();
+    event.stopImmediatePropagation();
+    
+    if (event.type === 'click') {
+      revealPrivacyBlur();
+    }
+  }
+
+  /**
+   * Starts or stops idle detection and clears the blur when the mode is off
+   */
+  function updatePrivacyBlur() {
+    try {
+      // The top frame blurs the whole page, including embedded frames
+      if (window !== window.top) {
         return;
-      } else if (cachedSession === null) {
-        // Cache expired, do async check
-        const hasSession = await hasActiveSession();
-        if (hasSession) {
-          // Allow if session is active - no logging needed
-          return;
-        }
       }
-
-      // Block paste into non-editable areas
-      event.preventDefault();
-      event.stopPropagation();
-      event.stopImmediatePropagation();
       
-      // Log the blocked attempt
-      logAuditEvent({
-        type: 'blocked',
-        action: 'paste',
-        details: 'Blocked paste attempt'
-      });
+      const config = getPrivacyBlurConfig();
+      const idleSeconds = config ? Number(config.idleSeconds) || 0 : 0;
       
-      // Show warning toast
-      showToast('Copying data from this sheet is restricted.');
+      if (!config && isPrivacyBlurred()) {
+        document.documentElement.removeAttribute(PRIVACY_BLURRED_ATTRIBUTE);
+        privacyBlurredAt = 0;
+        privacyBlurTrigger = null;
+      }
       
-      return false;
+      if (idleSeconds > 0 && !privacyIdleTimer) {
+        lastActivityAt = Date.now();
+        privacyIdleTimer = setInterval(function() {
+          const current = getPrivacyBlurConfig();
+          const limit = current ? Number(current.idleSeconds) || 0 : 0;
+          if (limit > 0 && Date.now() - lastActivityAt >= limit * 1000) {
+            applyPrivacyBlur('idle');
+          }
+        }, PRIVACY_IDLE_CHECK_INTERVAL);
+      } else if (idleSeconds === 0 && privacyIdleTimer) {
+        clearInterval(privacyIdleTimer);
+        privacyIdleTimer = null;
+      }
     } catch (error) {
-      console.warn('Error in handlePaste:', error);
+      console.warn('Error updating privacy blur:', error);
     }
   }
 
@@ -1046,24 +3593,47 @@
       }
       listenersAttached = true;
       
+      // Protection listeners are wrapped so they leave the justification dialog and notice alone
+      
+      // Heartbeat probe - answers only while these listeners are attached
+      document.addEventListener(LISTENER_PROBE_EVENT, handleListenerProbe, true);
+      
       // Keyboard shortcuts - only document (more efficient)
-      document.addEventListener('keydown', handleKeyDown, true); // capture phase
-      document.addEventListener('keyup', handleKeyUp, true); // capture phase
+      document.addEventListener('keydown', unlessOwnUi(handleKeyDown), true); // capture phase
+      document.addEventListener('keyup', unlessOwnUi(handleKeyUp), true); // capture phase
       
       // Right-click context menu
-      document.addEventListener('contextmenu', handleContextMenu, true); // capture phase
+      document.addEventListener('contextmenu', unlessOwnUi(handleContextMenu), true); // capture phase
       
       // Text selection blocking - REMOVED mousemove (causes performance issues)
-      document.addEventListener('selectstart', handleSelectStart, true); // capture phase
-      document.addEventListener('select', handleSelect, true); // capture phase
-      document.addEventListener('mousedown', handleMouseDown, true); // capture phase
+      document.addEventListener('selectstart', unlessOwnUi(handleSelectStart), true); // capture phase
+      document.addEventListener('select', unlessOwnUi(handleSelect), true); // capture phase
+      document.addEventListener('mousedown', unlessOwnUi(handleMouseDown), true); // capture phase
       // REMOVED: mousemove - fires too frequently, causes severe slowdown
-      document.addEventListener('mouseup', handleMouseUp, true); // capture phase
+      document.addEventListener('mouseup', unlessOwnUi(handleMouseUp), true); // capture phase
       
       // Copy/Cut/Paste blocking
-      document.addEventListener('copy', handleCopy, true); // capture phase
-      document.addEventListener('cut', handleCut, true); // capture phase
-      document.addEventListener('paste', handlePaste, true); // capture phase
+      document.addEventListener('copy', unlessOwnUi(handleCopy), true); // capture phase
+      document.addEventListener('cut', unlessOwnUi(handleCut), true); // capture phase
+      document.addEventListener('paste', unlessOwnUi(handlePaste), true); // capture phase
+      
+      // Payload inspection - bubble phase on window, after the page's handlers
+      window.addEventListener('copy', handleClipboardInspection);
+      window.addEventListener('cut', handleClipboardInspection);
+      
+      // Print blocking (browser menu / page print() calls)
+      window.addEventListener('beforeprint', handleBeforePrint);
+      window.addEventListener('afterprint', handleAfterPrint);
+      
+      // Privacy blur - click-to-reveal runs first (window capture) so the click never reaches the grid
+      window.addEventListener('mousedown', handlePrivacyRevealClick, true);
+      window.addEventListener('click', handlePrivacyRevealClick, true);
+      document.addEventListener('visibilitychange', handlePrivacyVisibilityChange);
+      window.addEventListener('blur', handlePrivacyWindowBlur);
+      // Idle tracking uses cheap, infrequent events (no mousemove - see above)
+      window.addEventListener('keydown', handlePrivacyActivity, { capture: true, passive: true });
+      window.addEventListener('mousedown', handlePrivacyActivity, { capture: true, passive: true });
+      window.addEventListener('wheel', handlePrivacyActivity, { capture: true, passive: true });
       
       // REMOVED: beforeinput listener - not needed, copy/paste events handle it
       
@@ -1077,7 +3647,7 @@
       head.appendChild(style);
       
       // Update styles based on current protection state
-      updateProtectionStyles(protectionEnabled);
+      updateProtectionStyles();
       
     } catch (error) {
       console.warn('Error setting up event listeners:', error);
@@ -1085,191 +3655,276 @@
   }
 
   // ============================================================================
-  // CLIPBOARD API INTERCEPTION
+  // PAGE-CONTEXT HOOKS
   // ============================================================================
 
+  // Patches made here only reach this isolated world, so page-hooks.js (injected
+  // into the page's own world by background.js) hooks the document's clipboard
+  // API, execCommand, ClipboardItem and DataTransfer, and asks this script for
+  // decisions over a MessageChannel. The port is handed over with a synchronous
+  // DOM event while both scripts run at document_start. That is normally before
+  // any page script, though not guaranteed (see page-hooks.js), so each side
+  // accepts one handshake only, closes it as soon as the other answers, and
+  // stops waiting once the document has loaded
+  const PAGE_HOOKS_PORT_EVENT = 'sheets-protection-page-hooks';
+  const PAGE_HOOKS_READY_EVENT = 'sheets-protection-page-hooks-ready';
+  const PAGE_HOOK_ACTIONS = ['copy', 'cut', 'paste'];
+  const PAGE_HOOK_METHODS = ['writeText', 'write', 'readText', 'read', 'execCommand'];
+  
+  let pageHooksPort = null;
+
+  /**
+   * Hands a MessageChannel port to page-hooks.js if it is loaded
+   * @returns {boolean} - True if the page-context script took the port
+   */
+  function connectPageHooks() {
+    if (pageHooksPort) {
+      return true;
+    }
+    
+    const channel = new MessageChannel();
+    const taken = !document.dispatchEvent(new MessageEvent(PAGE_HOOKS_PORT_EVENT, {
+      cancelable: true,
+      ports: [channel.port2]
+    }));
+    if (!taken) {
+      channel.port1.close();
+      return false;
+    }
+    
+    pageHooksPort = channel.port1;
+    pageHooksPort.onmessage = handlePageHooksMessage;
+    sendPageHooksState();
+    return true;
+  }
+
+  /**
+   * Answers the first announcement from page-hooks.js and stops listening
+   * Cancelling the event acknowledges it, so page-hooks.js closes its side too
+   * @param {Event} event - The announcement
+   */
+  function handlePageHooksReady(event) {
+    stopPageHooksHandshake();
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    connectPageHooks();
+  }
+
+  /**
+   * Stops waiting for page-hooks.js to announce itself
+   */
+  function stopPageHooksHandshake() {
+    document.removeEventListener(PAGE_HOOKS_READY_EVENT, handlePageHooksReady, true);
+  }
+
+  /**
+   * Connects now if page-hooks.js ran first, otherwise when it announces itself
+   * It announces itself at document_start, so an announcement after the
+   * document has loaded comes from the page and is ignored
+   */
+  function setupPageHooks() {
+    if (connectPageHooks() || document.readyState !== 'loading') {
+      return;
+    }
+    document.addEventListener(PAGE_HOOKS_READY_EVENT, handlePageHooksReady, true);
+    document.addEventListener('DOMContentLoaded', stopPageHooksHandshake, { once: true });
+  }
+
+  /**
+   * Pushes which clipboard actions are blocked outright, for the page-context
+   * hooks that must answer synchronously (execCommand, DataTransfer)
+   * Called whenever policies or sessions change (see updateProtectionStyles)
+   */
+  function sendPageHooksState() {
+    if (!pageHooksPort) {
+      return;
+    }
+    
+    // Range-limited grants depend on the live grid selection, so for those the
+    // hooks defer to the copy/cut/paste event handlers, which check the range
+    const sessions = getActiveSessions();
+    const blocked = {};
+    PAGE_HOOK_ACTIONS.forEach(action => {
+      const granted = sessions.some(session => !Array.isArray(session.actions) || session.actions.indexOf(action) !== -1);
+      // Sensitive/redact copy modes decide on the payload, in the event handlers
+      blocked[action] = !granted && isActionEnforced(action) && !isMonitorMode() &&
+        (action === 'paste' || getCopyMode() === 'all');
+    });
+    pageHooksPort.postMessage({ type: 'state', blocked: blocked });
+  }
+
+  /**
+   * Handles checks and reports from page-hooks.js
+   * The page world is untrusted, so only known actions and methods are accepted
+   * @param {MessageEvent} event - { type: 'check', id, action, method, text }, { type: 'blocked', action, method }
+   *   or { type: 'rerun', action, method, ok }
+   */
+  function handlePageHooksMessage(event) {
+    const message = event.data || {};
+    if (PAGE_HOOK_ACTIONS.indexOf(message.action) === -1 || PAGE_HOOK_METHODS.indexOf(message.method) === -1) {
+      return;
+    }
+    
+    if (message.type === 'check') {
+      const text = typeof message.text === 'string' ? message.text : null;
+      const allow = checkPageClipboardCall(message.action, message.method, text);
+      pageHooksPort.postMessage({ type: 'decision', id: message.id, allow: allow });
+    } else if (message.type === 'blocked') {
+      reportPageExecCommand(message.action);
+    } else if (message.type === 'rerun' && message.ok !== true) {
+      showNotice(t('noticeRetryShortcut'), { info: true });
+    }
+  }
+
   /**
-   * Intercepts Clipboard API to block copy operations
-   * This catches programmatic clipboard access that bypasses events
-   * Note: Modern browsers make Clipboard API read-only, so this may not work in all cases.
-   * Event-based blocking (copy/cut/paste events) is the primary protection mechanism.
+   * Decides a page's navigator.clipboard call, logging and notifying when blocked
+   * @param {string} action - 'copy' (writeText/write) or 'paste' (readText/read)
+   * @param {string} method - Clipboard method name
+   * @param {string|null} text - Text being written, if known
+   * @returns {boolean} - True to let the call through
    */
-  function interceptClipboardAPI() {
+  function checkPageClipboardCall(action, method, text) {
     try {
-      if (!navigator || !navigator.clipboard) {
-        return;
+      if (!isActionEnforced(action)) {
+        return true;
       }
-
-      // Store original clipboard methods if not already stored
-      if (!window._sheetsProtectionOriginalClipboard) {
-        try {
-          window._sheetsProtectionOriginalClipboard = {
-            writeText: navigator.clipboard.writeText,
-            readText: navigator.clipboard.readText,
-            write: navigator.clipboard.write,
-            read: navigator.clipboard.read
-          };
-        } catch (e) {
-          // Clipboard API may not be accessible
-          return;
-        }
+      
+      // Copying from / pasting into editable elements is normal editing
+      if (action === 'paste' ? adapter.isEditableElement(document.activeElement) : shouldAllowCopy()) {
+        return true;
+      }
+      
+      if (hasActiveSession(action)) {
+        return true;
+      }
+      
+      // Monitor mode logs the call and lets it through
+      if (!logBlockDecision({
+        type: 'blocked',
+        action: action,
+        dataPreview: text ? getDataPreview(text) : null,
+        classifiers: text ? getMatchedClassifierNames(text) : null,
+        details: `Blocked navigator.clipboard.${method}() call`
+      })) {
+        return true;
       }
+      
+      showBlockNotice(action);
+      return false;
+    } catch (error) {
+      // Silently fail to avoid breaking Google Sheets
+      console.warn('Error checking page clipboard call:', error);
+      return true;
+    }
+  }
 
-      const original = window._sheetsProtectionOriginalClipboard;
+  /**
+   * Logs an execCommand call page-hooks.js already refused from the pushed state
+   * If the state it used was out of date (a grant crossing the message), it is
+   * re-sent instead, so the next attempt goes through
+   * @param {string} action - 'copy', 'cut' or 'paste'
+   */
+  function reportPageExecCommand(action) {
+    if (hasActiveSession(action) || !isActionEnforced(action)) {
+      sendPageHooksState();
+      return;
+    }
+    if (logBlockDecision({
+      type: 'blocked',
+      action: action,
+      details: `Blocked document.execCommand('${action}') call`
+    })) {
+      showBlockNotice(action);
+    }
+  }
 
-      // Try to override writeText - may fail if read-only
-      // Optimized: Use synchronous session check first
-      try {
-        if (original.writeText) {
-          navigator.clipboard.writeText = function(text) {
-            // Use synchronous check first for performance
-            const cachedSession = hasActiveSessionSync();
-            if (cachedSession === true) {
-              return original.writeText.call(navigator.clipboard, text);
-            } else if (cachedSession === false) {
-              if (isProtectionEnabled() && !shouldAllowCopy()) {
-                showToast('Copying data from this sheet is restricted.');
-                return Promise.reject(new DOMException('Copy operation blocked', 'NotAllowedError'));
-              }
-              return original.writeText.call(navigator.clipboard, text);
-            } else {
-              // Cache expired, do async check
-              return hasActiveSession().then(hasSession => {
-                if (isProtectionEnabled() && !hasSession && !shouldAllowCopy()) {
-                  showToast('Copying data from this sheet is restricted.');
-                  return Promise.reject(new DOMException('Copy operation blocked', 'NotAllowedError'));
-                }
-                return original.writeText.call(navigator.clipboard, text);
-              });
-            }
-          };
-        }
-      } catch (e) {
-        // Clipboard API is read-only - this is expected in modern browsers
-        // Event-based blocking will handle most cases
-      }
+  // ============================================================================
+  // PROTECTION HEARTBEAT
+  // ============================================================================
 
-      // Try to override write - may fail if read-only
-      try {
-        if (original.write) {
-          navigator.clipboard.write = function(data) {
-            // Use synchronous check first for performance
-            const cachedSession = hasActiveSessionSync();
-            if (cachedSession === true) {
-              return original.write.call(navigator.clipboard, data);
-            } else if (cachedSession === false) {
-              if (isProtectionEnabled() && !shouldAllowCopy()) {
-                showToast('Copying data from this sheet is restricted.');
-                return Promise.reject(new DOMException('Copy operation blocked', 'NotAllowedError'));
-              }
-              return original.write.call(navigator.clipboard, data);
-            } else {
-              // Cache expired, do async check
-              return hasActiveSession().then(hasSession => {
-                if (isProtectionEnabled() && !hasSession && !shouldAllowCopy()) {
-                  showToast('Copying data from this sheet is restricted.');
-                  return Promise.reject(new DOMException('Copy operation blocked', 'NotAllowedError'));
-                }
-                return original.write.call(navigator.clipboard, data);
-              });
-            }
-          };
-        }
-      } catch (e) {
-        // Clipboard API is read-only - this is expected
-      }
+  // The top frame reports its protection state to background.js every interval,
+  // which flags tabs that go silent or run on stale policies (tamper_suspected)
+  const HEARTBEAT_INTERVAL_MS = 30000;
+  // Dispatched on document to check the protection listeners are still attached
+  // (document.open() drops every listener)
+  const LISTENER_PROBE_EVENT = 'sheets-protection-probe';
+  
+  let heartbeatTimer = null;
+  let listenerProbeAnswered = false;
 
-      // Try to override readText - may fail if read-only
-      try {
-        if (original.readText) {
-          navigator.clipboard.readText = function() {
-            // Use synchronous check first for performance
-            const cachedSession = hasActiveSessionSync();
-            if (cachedSession === true) {
-              return original.readText.call(navigator.clipboard);
-            } else if (cachedSession === false) {
-              if (isProtectionEnabled()) {
-                const activeElement = document.activeElement;
-                if (!activeElement || (
-                  activeElement.tagName !== 'INPUT' &&
-                  activeElement.tagName !== 'TEXTAREA' &&
-                  !activeElement.isContentEditable
-                )) {
-                  showToast('Copying data from this sheet is restricted.');
-                  return Promise.reject(new DOMException('Paste operation blocked', 'NotAllowedError'));
-                }
-              }
-              return original.readText.call(navigator.clipboard);
-            } else {
-              // Cache expired, do async check
-              return hasActiveSession().then(hasSession => {
-                if (isProtectionEnabled() && !hasSession) {
-                  const activeElement = document.activeElement;
-                  if (!activeElement || (
-                    activeElement.tagName !== 'INPUT' &&
-                    activeElement.tagName !== 'TEXTAREA' &&
-                    !activeElement.isContentEditable
-                  )) {
-                    showToast('Copying data from this sheet is restricted.');
-                    return Promise.reject(new DOMException('Paste operation blocked', 'NotAllowedError'));
-                  }
-                }
-                return original.readText.call(navigator.clipboard);
-              });
-            }
-          };
-        }
-      } catch (e) {
-        // Clipboard API is read-only - this is expected
-      }
+  /**
+   * Hashes the stored state that decides protection, as background.js does
+   * A different hash there means this page missed an update or was tampered with
+   * @param {Array} policyList - Policy rules
+   * @param {boolean} defaultEnabled - Global default
+   * @param {Array} lockdownList - Active lockdowns
+   * @returns {string} - Hex hash
+   */
+  function hashProtectionState(policyList, defaultEnabled, lockdownList) {
+    const text = JSON.stringify([policyList || [], defaultEnabled !== false, lockdownList || []]);
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) - hash + text.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(16);
+  }
 
-      // Try to override read - may fail if read-only
-      try {
-        if (original.read) {
-          navigator.clipboard.read = function() {
-            // Use synchronous check first for performance
-            const cachedSession = hasActiveSessionSync();
-            if (cachedSession === true) {
-              return original.read.call(navigator.clipboard);
-            } else if (cachedSession === false) {
-              if (isProtectionEnabled()) {
-                const activeElement = document.activeElement;
-                if (!activeElement || (
-                  activeElement.tagName !== 'INPUT' &&
-                  activeElement.tagName !== 'TEXTAREA' &&
-                  !activeElement.isContentEditable
-                )) {
-                  showToast('Copying data from this sheet is restricted.');
-                  return Promise.reject(new DOMException('Paste operation blocked', 'NotAllowedError'));
-                }
-              }
-              return original.read.call(navigator.clipboard);
-            } else {
-              // Cache expired, do async check
-              return hasActiveSession().then(hasSession => {
-                if (isProtectionEnabled() && !hasSession) {
-                  const activeElement = document.activeElement;
-                  if (!activeElement || (
-                    activeElement.tagName !== 'INPUT' &&
-                    activeElement.tagName !== 'TEXTAREA' &&
-                    !activeElement.isContentEditable
-                  )) {
-                    showToast('Copying data from this sheet is restricted.');
-                    return Promise.reject(new DOMException('Paste operation blocked', 'NotAllowedError'));
-                  }
-                }
-                return original.read.call(navigator.clipboard);
-              });
-            }
-          };
+  /**
+   * Answers a listener probe (registered with the protection listeners)
+   */
+  function handleListenerProbe() {
+    listenerProbeAnswered = true;
+  }
+
+  /**
+   * Checks the protection listeners on document still run
+   * @returns {boolean} - True if the probe listener answered
+   */
+  function probeListeners() {
+    listenerProbeAnswered = false;
+    document.dispatchEvent(new CustomEvent(LISTENER_PROBE_EVENT));
+    return listenerProbeAnswered;
+  }
+
+  /**
+   * Sends this tab's policy hash and enforcement state to background.js
+   * Stops once the extension context is gone (extension reloaded)
+   */
+  function sendHeartbeat() {
+    try {
+      chrome.runtime.sendMessage({
+        action: 'heartbeat',
+        userId: userId,
+        url: currentUrl,
+        resourceId: currentResource.resourceId,
+        policyHash: hashProtectionState(policies, protectionEnabled, lockdowns),
+        state: {
+          enabled: isProtectionEnabled(),
+          enforced: getEnforcedActions(),
+          monitor: isMonitorMode(),
+          listeners: probeListeners(),
+          style: !!document.getElementById('sheets-protection-style'),
+          pageHooks: !!pageHooksPort
         }
-      } catch (e) {
-        // Clipboard API is read-only - this is expected
-      }
+      }, function() {
+        // Background may be restarting - the next heartbeat retries
+        void chrome.runtime.lastError;
+      });
     } catch (error) {
-      // Silently fail - event-based blocking is the primary mechanism
-      // Clipboard API interception is a best-effort additional layer
+      clearInterval(heartbeatTimer);
+      heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * Starts heartbeats from the top frame (background tracks tabs, not frames)
+   * The first one goes out after an interval, once listeners and state are loaded
+   */
+  function startHeartbeat() {
+    if (window !== window.top || heartbeatTimer) {
+      return;
     }
+    heartbeatTimer = setInterval(sendHeartbeat, HEARTBEAT_INTERVAL_MS);
   }
 
   // ============================================================================
@@ -1282,14 +3937,16 @@
    */
   function init() {
     try {
-      // Initialize user ID
-      getUserId();
+      // Initialize user ID (the watermark, lockdowns and sessions depend on it) and email
+      getUserId().then(refreshEntitlements);
+      loadUserEmail();
       
       // Load protection state from storage first
       loadProtectionState();
       
-      // Intercept Clipboard API immediately
-      interceptClipboardAPI();
+      // Connect to the page-context clipboard hooks and intercept print() immediately
+      setupPageHooks();
+      interceptPrint();
       
       // Set up listeners only once
       if (document.readyState === 'loading') {
@@ -1302,6 +3959,16 @@
       
       // REMOVED: Duplicate setupEventListeners() call - was causing duplicate listeners
       
+      // Report protection state to background.js (tamper detection)
+      startHeartbeat();
+      
+      // Re-tile the watermark when the window size changes
+      let watermarkResizeTimer = null;
+      window.addEventListener('resize', function() {
+        if (watermarkResizeTimer) clearTimeout(watermarkResizeTimer);
+        watermarkResizeTimer = setTimeout(renderWatermarkTiles, 200);
+      });
+      
       // Flush logs on page unload
       window.addEventListener('beforeunload', function() {
         if (logQueue.length > 0) {
@@ -1309,8 +3976,8 @@
         }
       });
       
-      // Note: Clipboard API interception may not work in all browsers due to read-only properties
-      // Event-based blocking (copy/cut/paste events) is the primary protection mechanism
+      // Event-based blocking (copy/cut/paste events) is the primary protection mechanism;
+      // the page-context hooks cover calls that fire no event
       
       // Handle dynamic content loading (Google Sheets loads content dynamically)
       // Optimized: Only observe head element, not entire document (much more efficient)
@@ -1323,7 +3990,7 @@
           newStyle.id = 'sheets-protection-style';
           const head = document.head || document.documentElement;
           head.appendChild(newStyle);
-          updateProtectionStyles(protectionEnabled);
+          updateProtectionStyles();
         }
       });
       
@@ -1339,8 +4006,10 @@
     }
   }
 
-  // Start initialization
-  init();
+  // Start initialization (stay inert on pages no product adapter covers)
+  if (adapter) {
+    init();
+  }
 
 })();
 
@@ -0,0 +1,316 @@
+/**
+ * Page-Context Hooks
+ * Runs in the page's own JavaScript world (MAIN) at document_start, registered
+ * by background.js. Patches made by content.js only apply to its isolated world,
+ * so the document's own navigator.clipboard, execCommand, ClipboardItem and
+ * DataTransfer calls are hooked here instead. Decisions stay with content.js,
+ * which answers over a private MessageChannel (see PAGE-CONTEXT HOOKS there).
+ * No chrome.* APIs are available in this world.
+ */
+
+(function() {
+  'use strict';
+
+  // Handshake events shared with content.js. Both scripts are injected at
+  // document_start, which normally precedes page scripts but isn't guaranteed to:
+  // an inline script in an about:blank frame, or one a parent frame injects, can
+  // run first. So the handshake is kept short: each side accepts a single
+  // handshake, closes it as soon as the other side answers, and stops waiting
+  // once the document has loaded
+  const PORT_EVENT = 'sheets-protection-page-hooks';
+  const READY_EVENT = 'sheets-protection-page-hooks-ready';
+
+  // Clipboard calls go through if content.js doesn't answer in time
+  const CHECK_TIMEOUT_MS = 3000;
+  // Text sent along for the audit preview and DLP classifiers
+  const MAX_CHECK_TEXT_LENGTH = 10000;
+  const CLIPBOARD_COMMANDS = ['copy', 'cut', 'paste'];
+
+  // Captured when this script runs, so page scripts that run later can't swap
+  // them out (one that ran before it could already have)
+  const apply = Reflect.apply;
+  const postMessage = MessagePort.prototype.postMessage;
+  const originalExecCommand = Document.prototype.execCommand;
+  const originalSetData = window.DataTransfer && DataTransfer.prototype.setData;
+  const originalGetData = window.DataTransfer && DataTransfer.prototype.getData;
+  const OriginalClipboardItem = window.ClipboardItem;
+
+  let port = null;
+  // Actions content.js currently blocks outright, for the synchronous hooks
+  let blocked = { copy: false, cut: false, paste: false };
+  // Action lifted for the one execCommand call content.js asks to re-run
+  let rerunAction = null;
+  let nextCheckId = 1;
+  const pendingChecks = new Map(); // check id → resolve(allow)
+  const clipboardItemText = new WeakMap(); // ClipboardItem → its text/plain value
+
+  // ============================================================================
+  // CHANNEL
+  // ============================================================================
+
+  /**
+   * Takes the port content.js hands over and stops listening for more
+   * Cancelling the event tells content.js the handshake succeeded
+   * @param {MessageEvent} event - Handshake event carrying the port
+   */
+  function handlePortEvent(event) {
+    if (port || !event.ports || !event.ports[0]) {
+      return;
+    }
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    document.removeEventListener(PORT_EVENT, handlePortEvent, true);
+
+    port = event.ports[0];
+    port.onmessage = handlePortMessage;
+  }
+
+  /**
+   * Stops waiting for a port: content.js answered, or the document has loaded
+   */
+  function stopHandshake() {
+    document.removeEventListener(PORT_EVENT, handlePortEvent, true);
+  }
+
+  /**
+   * Applies state pushed by content.js, resolves answered checks and re-runs
+   * justified copies
+   * @param {MessageEvent} event - { type: 'state', blocked }, { type: 'decision', id, allow } or { type: 'rerun', action }
+   */
+  function handlePortMessage(event) {
+    const message = event.data || {};
+    if (message.type === 'state' && message.blocked) {
+      blocked = {
+        copy: message.blocked.copy === true,
+        cut: message.blocked.cut === true,
+        paste: message.blocked.paste === true
+      };
+    } else if (message.type === 'decision') {
+      const resolve = pendingChecks.get(message.id);
+      if (resolve) {
+        pendingChecks.delete(message.id);
+        resolve(message.allow !== false);
+      }
+    } else if (message.type === 'rerun' && CLIPBOARD_COMMANDS.indexOf(message.action) !== -1) {
+      rerunCommand(message.action);
+    }
+  }
+
+  /**
+   * Sends a message to content.js (dropped before the handshake)
+   * @param {Object} message - Plain, cloneable message
+   */
+  function send(message) {
+    if (port) {
+      apply(postMessage, port, [message]);
+    }
+  }
+
+  /**
+   * Asks content.js whether a clipboard call may go through
+   * content.js logs and shows the notice when it blocks
+   * @param {string} action - 'copy' or 'paste'
+   * @param {string} method - Clipboard method name, for the audit log
+   * @param {string|null} text - Text being written, if known
+   * @returns {Promise<boolean>} - True to let the call through
+   */
+  function checkClipboardCall(action, method, text) {
+    if (!port) {
+      return Promise.resolve(true);
+    }
+    return new Promise(resolve => {
+      const id = nextCheckId++;
+      const timer = setTimeout(function() {
+        pendingChecks.delete(id);
+        resolve(true);
+      }, CHECK_TIMEOUT_MS);
+      pendingChecks.set(id, function(allow) {
+        clearTimeout(timer);
+        resolve(allow);
+      });
+      send({
+        type: 'check',
+        id: id,
+        action: action,
+        method: method,
+        text: typeof text === 'string' ? text.slice(0, MAX_CHECK_TEXT_LENGTH) : null
+      });
+    });
+  }
+
+  /**
+   * Checks if an element takes text input (copy/paste there is normal editing)
+   * @param {Element} element - Usually document.activeElement
+   */
+  function isEditable(element) {
+    return !!element && (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA' || element.isContentEditable);
+  }
+
+  // ============================================================================
+  // CLIPBOARD API
+  // ============================================================================
+
+  /**
+   * Replaces a Clipboard.prototype method with one that asks content.js first
+   * @param {string} method - e.g. 'writeText'
+   * @param {string} action - 'copy' or 'paste'
+   * @param {Function} [getText] - Reads the text being written from the call's argument
+   */
+  function hookClipboardMethod(method, action, getText) {
+    const original = window.Clipboard && Clipboard.prototype[method];
+    if (typeof original !== 'function') {
+      return;
+    }
+
+    Clipboard.prototype[method] = function() {
+      const clipboard = this;
+      const args = arguments;
+      return Promise.resolve(getText ? getText(args[0]) : null)
+        .then(text => checkClipboardCall(action, method, text))
+        .then(allow => allow
+          ? apply(original, clipboard, args)
+          : Promise.reject(new DOMException((action === 'paste' ? 'Paste' : 'Copy') + ' operation blocked', 'NotAllowedError')));
+    };
+  }
+
+  /**
+   * Reads the text/plain part of the first ClipboardItem passed to write()
+   * @param {ClipboardItem[]} items - Argument of navigator.clipboard.write()
+   * @returns {Promise<string|null>} - The text, or null if there is none
+   */
+  function getClipboardItemText(items) {
+    const value = items && items[0] ? clipboardItemText.get(items[0]) : undefined;
+    if (value === undefined) {
+      return Promise.resolve(null);
+    }
+    return Promise.resolve(value)
+      .then(resolved => typeof resolved === 'string' ? resolved : (resolved instanceof Blob ? resolved.text() : null))
+      .catch(() => null);
+  }
+
+  /**
+   * Wraps the ClipboardItem constructor to remember each item's text/plain
+   * value, so write() checks can preview and classify it
+   */
+  function hookClipboardItem() {
+    if (typeof OriginalClipboardItem !== 'function') {
+      return;
+    }
+
+    const ClipboardItem = function ClipboardItem(items, options) {
+      const item = new OriginalClipboardItem(items, options);
+      if (items && Object.prototype.hasOwnProperty.call(items, 'text/plain')) {
+        clipboardItemText.set(item, items['text/plain']);
+      }
+      return item;
+    };
+    ClipboardItem.prototype = OriginalClipboardItem.prototype;
+    if (typeof OriginalClipboardItem.supports === 'function') {
+      ClipboardItem.supports = OriginalClipboardItem.supports.bind(OriginalClipboardItem);
+    }
+    window.ClipboardItem = ClipboardItem;
+  }
+
+  // ============================================================================
+  // EXECCOMMAND AND DATATRANSFER
+  // ============================================================================
+
+  /**
+   * Refuses execCommand('copy' | 'cut' | 'paste') while content.js blocks the action
+   * execCommand answers synchronously, so this uses the last pushed state;
+   * content.js re-checks the session when told and does the logging
+   */
+  function hookExecCommand() {
+    Document.prototype.execCommand = function(command) {
+      const action = typeof command === 'string' ? command.toLowerCase() : '';
+      if (CLIPBOARD_COMMANDS.indexOf(action) !== -1 && blocked[action] && !isEditable(document.activeElement)) {
+        send({ type: 'blocked', action: action, method: 'execCommand' });
+        return false;
+      }
+      return apply(originalExecCommand, this, arguments);
+    };
+  }
+
+  /**
+   * Re-runs a copy/cut content.js allowed after a justification or break-glass
+   * request. Its own execCommand would still find the action blocked here, and
+   * the page's copy handler would write nothing, so the command runs in this
+   * world with the action lifted for that one call
+   * @param {string} action - 'copy' or 'cut'
+   */
+  function rerunCommand(action) {
+    let ok = false;
+    rerunAction = action;
+    try {
+      ok = apply(originalExecCommand, document, [action]);
+    } catch (error) {
+      ok = false;
+    } finally {
+      rerunAction = null;
+    }
+    send({ type: 'rerun', action: action, method: 'execCommand', ok: ok });
+  }
+
+  /**
+   * Keeps page handlers from writing or reading clipboard data during a
+   * blocked copy, cut or paste event. content.js blocks and logs the event
+   * itself; this covers handlers that run while its session check is pending
+   */
+  function hookDataTransfer() {
+    if (typeof originalSetData !== 'function' || typeof originalGetData !== 'function') {
+      return;
+    }
+
+    /**
+     * @returns {boolean} - True if the current clipboard event's action is blocked
+     */
+    function isBlockedClipboardEvent() {
+      const event = window.event;
+      return !!event && CLIPBOARD_COMMANDS.indexOf(event.type) !== -1 &&
+        blocked[event.type] && event.type !== rerunAction && !isEditable(document.activeElement);
+    }
+
+    DataTransfer.prototype.setData = function() {
+      if (isBlockedClipboardEvent()) {
+        return;
+      }
+      return apply(originalSetData, this, arguments);
+    };
+
+    DataTransfer.prototype.getData = function() {
+      if (isBlockedClipboardEvent()) {
+        return '';
+      }
+      return apply(originalGetData, this, arguments);
+    };
+  }
+
+  // ============================================================================
+  // INITIALIZATION
+  // ============================================================================
+
+  try {
+    document.addEventListener(PORT_EVENT, handlePortEvent, true);
+    // content.js may already be waiting: it acknowledges by cancelling the event
+    // and hands its port over before dispatchEvent returns. If not, it connects
+    // when it loads
+    const acknowledged = !document.dispatchEvent(new CustomEvent(READY_EVENT, { cancelable: true }));
+    if (acknowledged) {
+      stopHandshake();
+    } else {
+      document.addEventListener('DOMContentLoaded', stopHandshake, { once: true });
+    }
+
+    hookClipboardMethod('writeText', 'copy', text => String(text));
+    hookClipboardMethod('write', 'copy', getClipboardItemText);
+    hookClipboardMethod('readText', 'paste');
+    hookClipboardMethod('read', 'paste');
+    hookClipboardItem();
+    hookExecCommand();
+    hookDataTransfer();
+  } catch (error) {
+    // Never break the page - content.js's event handlers still apply
+    console.warn('Error installing page hooks:', error);
+  }
+
+})();
@@ -11,6 +11,37 @@
   const USER_ID_KEY = 'sheetsProtectionUserId';
   const ADMIN_SESSION_KEY = 'isAdminSession';
 
+  // Pages the content script can protect (see SITE_ADAPTERS in content.js)
+  const PROTECTED_URL_PATTERN = /^https:\/\/(docs\.google\.com\/(spreadsheets|document|presentation|forms)\/|[^/]+\.officeapps\.live\.com\/|[^/]+\.sharepoint\.com\/|onedrive\.live\.com\/|airtable\.com\/)/;
+  const PROTECTED_TAB_URLS = [
+    'https://docs.google.com/spreadsheets/*',
+    'https://docs.google.com/document/*',
+    'https://docs.google.com/presentation/*',
+    'https://docs.google.com/forms/*',
+    'https://*.officeapps.live.com/*',
+    'https://*.sharepoint.com/*',
+    'https://onedrive.live.com/*',
+    'https://airtable.com/*'
+  ];
+
+  // Products with their own "admin policy for this ..." message (popupSourcePolicy_<product>)
+  const POLICY_SOURCE_PRODUCTS = ['sheets', 'docs', 'slides', 'forms', 'excel', 'airtable'];
+
+  // Message names of the per-action enforcement matrix labels (keys match content.js)
+  const ACTION_MESSAGES = {
+    copy: 'actionCopy',
+    cut: 'actionCut',
+    paste: 'actionPaste',
+    selectAll: 'actionSelectAll',
+    contextMenu: 'actionContextMenu',
+    selection: 'actionSelection',
+    print: 'actionPrint',
+    export: 'actionExport'
+  };
+
+  // Language for dates, numbers and lists; text comes from the matching _locales catalog
+  const UI_LOCALE = chrome.i18n.getUILanguage();
+
   const toggle = document.getElementById('protectionToggle');
   const statusIndicator = document.getElementById('statusIndicator');
   const statusText = document.getElementById('statusText');
@@ -20,15 +51,68 @@
   const durationOptions = document.querySelectorAll('.duration-option');
   const customDuration = document.getElementById('customDuration');
   const customDurationInput = document.getElementById('customDurationInput');
+  const requestScope = document.getElementById('requestScope');
+  const grantActionInputs = document.querySelectorAll('[data-grant-action]');
+  const requestRange = document.getElementById('requestRange');
   const submitRequest = document.getElementById('submitRequest');
   const requestStatus = document.getElementById('requestStatus');
   const sessionInfo = document.getElementById('sessionInfo');
+  const policyInfo = document.getElementById('policyInfo');
   const adminConsoleButton = document.getElementById('adminConsoleButton');
 
   let selectedDuration = null;
   let selectedDurationType = null;
   let userId = null;
 
+  /**
+   * Gets a message from the _locales catalog in the browser's language
+   * @param {string} key - Message name
+   * @param {string|number|Array} [substitutions] - Values for $1, $2, ...
+   * @returns {string} - The message, or the key if the catalog lacks it
+   */
+  function t(key, substitutions) {
+    const values = substitutions === undefined ? undefined : [].concat(substitutions).map(String);
+    return chrome.i18n.getMessage(key, values) || key;
+  }
+
+  /**
+   * Translates the markup: data-i18n sets the text, data-i18n-placeholder the placeholder
+   * The English in popup.html stays when a message is missing
+   */
+  function localizePage() {
+    document.documentElement.lang = UI_LOCALE;
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = chrome.i18n.getMessage(element.dataset.i18n) || element.textContent;
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+      element.placeholder = chrome.i18n.getMessage(element.dataset.i18nPlaceholder) || element.placeholder;
+    });
+    durationOptions.forEach(option => {
+      if (option.dataset.type === 'predefined') {
+        option.textContent = formatDuration(parseInt(option.dataset.duration, 10), 'short');
+      }
+    });
+  }
+
+  /**
+   * Formats a number of minutes in the UI language ("1 hour, 30 minutes")
+   * @param {number} minutes - Duration in minutes
+   * @param {string} [unitDisplay] - 'long' (default) or 'short' ("1 hr, 30 min")
+   */
+  function formatDuration(minutes, unitDisplay) {
+    const display = unitDisplay || 'long';
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    const parts = [];
+    if (hours) {
+      parts.push(new Intl.NumberFormat(UI_LOCALE, { style: 'unit', unit: 'hour', unitDisplay: display }).format(hours));
+    }
+    if (rest || !hours) {
+      parts.push(new Intl.NumberFormat(UI_LOCALE, { style: 'unit', unit: 'minute', unitDisplay: display }).format(rest));
+    }
+    return new Intl.ListFormat(UI_LOCALE, { style: display === 'long' ? 'long' : 'short', type: 'unit' }).format(parts);
+  }
+
   /**
    * Updates the UI to reflect the current protection state
    * @param {boolean} enabled - Whether protection is enabled
@@ -38,10 +122,10 @@
     
     if (enabled) {
       statusIndicator.className = 'status-indicator active';
-      statusText.textContent = 'Protection Active';
+      statusText.textContent = t('popupProtectionActive');
     } else {
       statusIndicator.className = 'status-indicator inactive';
-      statusText.textContent = 'Protection Disabled';
+      statusText.textContent = t('popupProtectionDisabled');
     }
   }
 
@@ -62,6 +146,61 @@
     }
   }
 
+  /**
+   * Shows which policy applies to the document open in the active tab
+   * Asks the tab's content script, which resolves the policy for its own URL
+   */
+  function loadTabPolicy() {
+    chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
+      const tab = tabs && tabs[0];
+      if (!tab || !tab.id || !tab.url || !PROTECTED_URL_PATTERN.test(tab.url)) {
+        policyInfo.className = 'policy-info';
+        return;
+      }
+
+      chrome.tabs.sendMessage(tab.id, { action: 'getProtectionState' }, { frameId: 0 }, function(response) {
+        if (chrome.runtime.lastError || !response) {
+          // Content script not loaded yet (e.g. tab opened before install)
+          policyInfo.className = 'policy-info';
+          return;
+        }
+
+        const policy = response.policy;
+        const product = response.resource && response.resource.product;
+        let source = t('popupSourceDefault');
+        if (policy) {
+          if ((policy.resourceId || policy.spreadsheetId) === '*') {
+            source = t('popupSourceDefaultPolicy');
+          } else if (policy.gid) {
+            source = t('popupSourceTabPolicy');
+          } else {
+            source = t('popupSourcePolicy_' + (POLICY_SOURCE_PRODUCTS.indexOf(product) !== -1 ? product : 'docs'));
+          }
+          if (policy.description) {
+            source += ' (' + policy.description + ')';
+          }
+        }
+
+        policyInfo.innerHTML = '';
+        const strong = document.createElement('strong');
+        strong.textContent = t(response.enabled ? 'popupProtected' : 'popupNotProtected');
+        policyInfo.appendChild(strong);
+        policyInfo.appendChild(document.createTextNode(' ' + t('popupSetBy', source)));
+
+        if (response.enabled) {
+          const actions = response.actions || [];
+          const enforced = actions.map(action => ACTION_MESSAGES[action] ? t(ACTION_MESSAGES[action]) : action);
+          const list = enforced.length > 0
+            ? new Intl.ListFormat(UI_LOCALE, { type: 'conjunction' }).format(enforced)
+            : t('popupNothing');
+          policyInfo.appendChild(document.createElement('br'));
+          policyInfo.appendChild(document.createTextNode(t(response.monitor ? 'popupMonitored' : 'popupBlocked', list)));
+        }
+        policyInfo.className = 'policy-info visible';
+      });
+    });
+  }
+
   /**
    * Saves the protection state to storage
    * @param {boolean} enabled - Whether protection should be enabled
@@ -73,6 +212,7 @@
         
         // Notify all Google Sheets tabs to update their protection state
         notifyContentScripts(enabled);
+        loadTabPolicy();
       });
     } catch (error) {
       console.error('Error saving state:', error);
@@ -80,16 +220,16 @@
   }
 
   /**
-   * Notifies all Google Sheets content scripts to update their protection state
+   * Notifies all protected tabs' content scripts to update their protection state
    * @param {boolean} enabled - Whether protection should be enabled
    */
   function notifyContentScripts(enabled) {
     try {
       chrome.tabs.query(
-        { url: 'https://docs.google.com/spreadsheets/*' },
+        { url: PROTECTED_TAB_URLS },
         function(tabs) {
           if (!tabs || tabs.length === 0) {
-            // No Google Sheets tabs open, which is fine
+            // No protected tabs open, which is fine
             return;
           }
 
@@ -186,6 +326,25 @@
     });
   }
 
+  /**
+   * Gets the document open in the active tab, as resolved by its content script
+   * @returns {Promise<Object|null>} - { product, resourceId, gid }, or null on unsupported pages
+   */
+  function getCurrentTabResource() {
+    return new Promise((resolve) => {
+      chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
+        const tab = tabs && tabs[0];
+        if (!tab || !tab.id) {
+          resolve(null);
+          return;
+        }
+        chrome.tabs.sendMessage(tab.id, { action: 'getProtectionState' }, { frameId: 0 }, function(response) {
+          resolve(!chrome.runtime.lastError && response && response.resource ? response.resource : null);
+        });
+      });
+    });
+  }
+
   /**
    * Handles request form expansion
    */
@@ -194,6 +353,48 @@
     requestArrow.textContent = requestForm.classList.contains('expanded') ? '▲' : '▼';
   }
 
+  /**
+   * Fills the scope choices for the document in the active tab
+   * Offers the sheet tab (or Airtable table) when the page has one, and only
+   * the admin-defined document groups that contain this document
+   */
+  function loadScopeOptions() {
+    getCurrentTabResource().then(resource => {
+      chrome.storage.local.get(['documentGroups'], function(result) {
+        const resourceId = resource ? resource.resourceId : null;
+        const options = [];
+        if (resourceId && resource.gid) {
+          options.push({ value: 'tab', label: t(resource.product === 'airtable' ? 'popupScopeTable' : 'popupScopeTab') });
+        }
+        options.push({ value: 'document', label: t('popupScopeDocument') });
+        (result.documentGroups || [])
+          .filter(group => resourceId && group.resourceIds.indexOf(resourceId) !== -1)
+          .forEach(group => options.push({ value: 'group:' + group.name, label: t('popupScopeGroup', group.name) }));
+        options.push({ value: 'all', label: t('popupScopeAll') });
+        
+        requestScope.textContent = '';
+        options.forEach(option => {
+          const element = document.createElement('option');
+          element.value = option.value;
+          element.textContent = option.label;
+          requestScope.appendChild(element);
+        });
+        requestScope.value = 'document';
+      });
+    });
+  }
+
+  /**
+   * Reads the selected scope in the form background.js expects
+   * @returns {Object} - { type } or { type: 'group', group }
+   */
+  function getSelectedScope() {
+    const value = requestScope.value;
+    return value.indexOf('group:') === 0
+      ? { type: 'group', group: value.slice('group:'.length) }
+      : { type: value };
+  }
+
   /**
    * Handles duration selection
    */
@@ -220,7 +421,7 @@
    */
   async function submitAccessRequest() {
     if (!selectedDuration && selectedDurationType !== 'custom') {
-      alert('Please select a duration');
+      alert(t('popupSelectDuration'));
       return;
     }
 
@@ -228,36 +429,53 @@
     if (selectedDurationType === 'custom') {
       duration = parseInt(customDurationInput.value);
       if (!duration || duration < 1 || duration > 1440) {
-        alert('Please enter a valid duration between 1 and 1440 minutes');
+        alert(t('popupInvalidDuration'));
         return;
       }
     }
 
+    // All actions checked = an unrestricted grant (null), as before
+    const actions = Array.from(grantActionInputs)
+      .filter(input => input.checked)
+      .map(input => input.dataset.grantAction);
+    if (!actions.length) {
+      alert(t('popupSelectAction'));
+      return;
+    }
+
     const url = await getCurrentTabUrl();
-    if (!url || !url.includes('docs.google.com/spreadsheets')) {
-      alert('Please open a Google Sheets page to request access');
+    const resource = await getCurrentTabResource();
+    if (!url || !PROTECTED_URL_PATTERN.test(url)) {
+      alert(t('popupOpenProtectedPage'));
       return;
     }
 
     submitRequest.disabled = true;
-    submitRequest.textContent = 'Submitting...';
+    submitRequest.textContent = t('popupSubmitting');
 
     chrome.runtime.sendMessage({
       action: 'addRequest',
       userId: userId,
       url: url,
+      resourceId: resource ? resource.resourceId : null,
+      gid: resource ? resource.gid : null,
+      scope: getSelectedScope(),
+      actions: actions.length === grantActionInputs.length ? null : actions,
+      range: requestRange.value.trim() || null,
       duration: duration,
       durationType: selectedDurationType
     }, function(response) {
       submitRequest.disabled = false;
-      submitRequest.textContent = 'Submit Request';
+      submitRequest.textContent = t('popupSubmitRequest');
       
       if (response && response.success) {
-        requestStatus.textContent = 'Request submitted successfully. Waiting for admin approval...';
+        requestStatus.textContent = t('popupRequestSubmitted');
         requestStatus.className = 'request-status visible pending';
         checkRequestStatus();
+      } else if (response && response.error) {
+        alert(t('popupRequestRejected', t(response.error, response.errorArgs)));
       } else {
-        alert('Failed to submit request. Please try again.');
+        alert(t('popupRequestFailed'));
       }
     });
   }
@@ -276,7 +494,7 @@
       const pendingRequest = userRequests.find(r => r.status === 'pending');
       
       if (pendingRequest) {
-        requestStatus.textContent = 'Request pending approval...';
+        requestStatus.textContent = t('popupRequestPending');
         requestStatus.className = 'request-status visible pending';
       } else {
         const approvedRequest = userRequests.find(r => r.status === 'approved');
@@ -292,16 +510,16 @@
           
           if (activeSession) {
             const timeLeft = Math.floor((activeSession.expiresAt - now) / 1000 / 60);
-            sessionInfo.textContent = `Active session: ${timeLeft} minutes remaining`;
+            sessionInfo.textContent = t('popupSessionActive', formatDuration(timeLeft));
             sessionInfo.className = 'session-info visible';
             requestStatus.className = 'request-status';
           } else {
-            requestStatus.textContent = 'Your request was approved but has expired.';
+            requestStatus.textContent = t('popupRequestExpired');
             requestStatus.className = 'request-status visible denied';
             sessionInfo.className = 'session-info';
           }
         } else if (deniedRequest) {
-          requestStatus.textContent = 'Your request was denied.';
+          requestStatus.textContent = t('popupRequestDenied');
           requestStatus.className = 'request-status visible denied';
           sessionInfo.className = 'session-info';
         } else {
@@ -320,6 +538,7 @@
   }
 
   // Initialize
+  localizePage();
   toggle.addEventListener('change', handleToggleChange);
   requestButton.addEventListener('click', toggleRequestForm);
   submitRequest.addEventListener('click', submitAccessRequest);
@@ -332,6 +551,8 @@
   // Initialize user ID and check admin status
   getUserId().then(() => {
     loadState();
+    loadTabPolicy();
+    loadScopeOptions();
     checkAdminStatus();
     checkRequestStatus();
     